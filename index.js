@@ -22,7 +22,7 @@ const DANNYSWOK_ALLOWED_ORIGINS = (process.env.DANNYSWOK_ALLOWED_ORIGINS || '')
   .filter(Boolean);
 const DANNYSWOK_MENU_ORIGIN = process.env.DANNYSWOK_MENU_ORIGIN || null;
 
-const { notifyPaymentIntentCreated, notifyCheckoutSessionCreated } = require('./services/telegramNotifications');
+const { notifyPaymentIntentCreated, notifyCheckoutSessionCreated, safeSend: sendTelegramAlert } = require('./services/telegramNotifications');
 const fetch = global.fetch || require('node-fetch');
 if (!global.fetch) {
   global.fetch = fetch;
@@ -51,10 +51,34 @@ if (stripe?.checkout?.sessions?.create) {
 }
 
 const { twiml: { VoiceResponse } } = require('twilio');
-const { sendSMS, client: twilioClient } = require('./services/twilioClient');
-const { upsertByPhone, findAll } = require('./services/sheets');
+const { sendSMS, client: twilioClient, transport: twilioTransport } = require('./services/twilioClient');
+const { classifyKeyword, isOptedOut, recordOptOut, recordOptIn } = require('./services/optOutRegistry');
+const { getLeadRepository, defaultDriver: defaultLeadStore } = require('./services/leadRepository');
+const { getSheetsMetrics } = require('./services/sheets');
+const { requireAdminSecret } = require('./lib/adminAuth');
 const { subscribeCalendlyWebhook } = require('./services/calendly');
-const { setStep, setField, get: getState } = require('./lib/leadStore');
+const {
+  setFields,
+  get: getState,
+  reset: resetConversation,
+  markInbound,
+  markOutbound,
+  purgeExpired: purgeExpiredConversations,
+} = require('./lib/leadStore');
+const {
+  loadFlow,
+  startFlow,
+  advanceFlow,
+  collectedFields,
+  renderTemplate,
+} = require('./lib/smsFlowEngine');
+const { createLeadExtractor } = require('./services/leadExtraction');
+const {
+  proposeSlots,
+  pickOfferedSlot,
+  bookSlot,
+  formatSlot,
+} = require('./services/appointmentScheduler');
 const { createUserRouter } = require('./routes/users');
 const createIntegrationsRouter = require('./routes/integrations');
 const createSupportRouter = require('./routes/support');
@@ -75,6 +99,61 @@ const createNotificationsRouter = require('./routes/notifications');
 const createNewBrightWaterGrantRouter = require('./routes/delcotech-grant');
 const { bootstrapDemoData, shouldBootstrapDemo, DEMO_DEFAULTS } = require('./lib/bootstrapDemo');
 const createKgKitchenRouter = require('./routes/kg-kitchen');
+const createVoicemailsRouter = require('./routes/voicemails');
+const {
+  createVoicemail,
+  updateVoicemail,
+  findVoicemail,
+  claimFollowUp,
+  listStaleVoicemails,
+  summarizeTranscript,
+} = require('./services/voicemails');
+const { resolveVoiceSchedule } = require('./lib/voiceSchedule');
+const { createTwilioSignatureMiddleware } = require('./lib/twilioSignature');
+const { signCallState, checkCallState } = require('./lib/callState');
+const {
+  startColdCall,
+  recordColdCallTurn,
+  recordColdCallLink,
+  recordColdCallTransfer,
+  finishColdCallTransfer,
+  recordColdCallCallback,
+  recordColdCallStatus,
+  setColdCallDisposition,
+  findColdCall,
+} = require('./services/coldCallLog');
+const { createColdCallerEngine } = require('./services/coldCallerEngine');
+const {
+  resolveBusiness,
+  findBusiness,
+  listBusinesses,
+  defaultBusiness,
+  businessTemplate,
+  businessSmsOptions,
+} = require('./services/businessRegistry');
+const createBusinessesRouter = require('./routes/businesses');
+const createMessagesRouter = require('./routes/messages');
+const { updateStatus: updateMessageStatus, retryDueMessages } = require('./services/messageLedger');
+const createNudgesRouter = require('./routes/nudges');
+const createInboxRouter = require('./routes/inbox');
+const { recordMessage: recordInboxMessage } = require('./services/inbox');
+const { isTakeoverRequest, pauseThread, resumeThread, isPaused } = require('./services/takeover');
+const createReportsRouter = require('./routes/reports');
+const createColdCallsRouter = require('./routes/coldCalls');
+const { findColdCallerCampaign } = require('./services/coldCallerCampaigns');
+const createOutboxRouter = require('./routes/outbox');
+const { runScenario, ScenarioError } = require('./services/conversationSimulator');
+const {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  localeText,
+  localeKeyword,
+  detectLocale,
+  localizeFlow,
+} = require('./lib/smsLocales');
+const { getThread } = require('./services/inbox');
+const { recordRecoveryEvent } = require('./services/recoveryReport');
+const { scheduleNudges, stopNudges, sendDueNudges } = require('./services/nudgeDrip');
 
 
 const jwt = require('jsonwebtoken');
@@ -315,41 +394,31 @@ async function acquireElevenLabsSlot() {
   });
 }
 
-function base64UrlEncode(str) {
-  return Buffer.from(String(str), 'utf8')
-    .toString('base64')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=+$/g, '');
-}
-
-function base64UrlDecode(str) {
-  if (!str) return '';
-  let normalized = String(str).replace(/-/g, '+').replace(/_/g, '/');
-  while (normalized.length % 4 !== 0) {
-    normalized += '=';
-  }
-  return Buffer.from(normalized, 'base64').toString('utf8');
-}
-
-function encodeCallState(state) {
-  try {
-    return base64UrlEncode(JSON.stringify(state || {}));
-  } catch (error) {
-    console.error('[ColdCaller] Failed to encode call state', error);
-    return '';
-  }
-}
-
-function decodeCallState(encoded) {
-  try {
-    const json = base64UrlDecode(encoded);
-    if (!json) return null;
-    return JSON.parse(json);
-  } catch (error) {
-    console.error('[ColdCaller] Failed to decode call state', error);
+// Verified state for a /voice/cold-caller/* hop, bound to the call on its first
+// hop. Tampered, missing or replayed state is refused; expired state (a call
+// left hanging past COLD_CALLER_STATE_TTL_MINUTES) just ends the call.
+async function requireCallState(req, res) {
+  const token = typeof req.query?.state === 'string' ? req.query.state : '';
+  const callSid = req.body?.CallSid || '';
+  const result = checkCallState(token, callSid);
+  if (result.ok) return result.state;
+
+  const { reason } = result;
+  console.warn('[ColdCaller] Rejected call state', { path: req.path, reason, callSid: callSid || null });
+  if (reason !== 'expired') {
+    res.status(403).type('text/plain').send('Invalid call state');
     return null;
   }
+  const { variant, preset } = resolveVariantPreset(result.state?.variant);
+  const response = new VoiceResponse();
+  await appendSpeech(response, 'Thanks for your time. Talk soon!', {
+    variantKey: variant,
+    preset,
+    baseUrl: resolveAppBaseUrl(req),
+  });
+  response.hangup();
+  res.type('text/xml').send(response.toString());
+  return null;
 }
 
 async function ensureTtsClip({ text, variantKey, preset, baseUrl }) {
@@ -429,16 +498,19 @@ async function ensureTtsClip({ text, variantKey, preset, baseUrl }) {
   }
 }
 
-async function appendSpeech(target, text, { variantKey, preset, baseUrl }) {
+// `synthesize: false` skips the ElevenLabs clip and uses <Say>, for one-off
+// lines whose synthesis would otherwise hold up the webhook response.
+async function appendSpeech(target, text, { variantKey, preset, baseUrl, lines = null, synthesize = true }) {
   const sanitized = sanitizeForTts(text);
   if (!sanitized) {
     return;
   }
+  if (lines) lines.push(sanitized);
 
   const resolvedVariant = variantKey || preset?.variant || 'warm';
   const resolvedPreset = preset || CALLER_VOICE_PRESETS[resolvedVariant] || CALLER_VOICE_PRESETS.warm;
 
-  if (USE_ELEVENLABS) {
+  if (USE_ELEVENLABS && synthesize) {
     const clipUrl = await ensureTtsClip({ text: sanitized, variantKey: resolvedVariant, preset: resolvedPreset, baseUrl });
     if (clipUrl) {
       target.play(clipUrl);
@@ -453,6 +525,9 @@ async function appendSpeech(target, text, { variantKey, preset, baseUrl }) {
 
 const callSmsTracker = new Map();
 const CALL_SMS_TRACKER_LIMIT = 500;
+const coldCallerEngine = createColdCallerEngine(openai);
+// Twilio's "invalid / unreachable To number" errors on calls.create.
+const BAD_NUMBER_ERROR_CODES = [21211, 21214, 21217, 21407, 21614];
 
 function resolveVariantPreset(variantKey) {
   const variant = variantKey || 'warm';
@@ -805,7 +880,7 @@ async function loadCsvAutomationData(relativePath, { maxRows = CSV_AUTOMATION_PA
   };
 }
 
-async function sendColdCallerLink(toNumber, callSid) {
+async function sendColdCallerLink(toNumber, callSid, { body = '' } = {}) {
   const normalized = normalizePhoneNumber(toNumber);
   if (!normalized) {
     return false;
@@ -818,7 +893,7 @@ async function sendColdCallerLink(toNumber, callSid) {
   try {
     await sendSMS(
       normalized,
-      `Here's the quick link: ${COLD_CALLER_SMS_LINK}`,
+      body || `Here's the quick link: ${COLD_CALLER_SMS_LINK}`,
       {
         source: 'cold_caller_auto_link',
         callSid: callSid || null,
@@ -829,6 +904,7 @@ async function sendColdCallerLink(toNumber, callSid) {
       },
     );
     if (callSid) {
+      await safeColdCallLog(recordColdCallLink, callSid);
       callSmsTracker.set(callSid, Date.now());
       if (callSmsTracker.size > CALL_SMS_TRACKER_LIMIT) {
         const oldestKey = callSmsTracker.keys().next().value;
@@ -839,6 +915,10 @@ async function sendColdCallerLink(toNumber, callSid) {
     }
     return true;
   } catch (error) {
+    if (error?.code === 'sms_opted_out') {
+      console.info('[ColdCaller] Skipping SMS link for opted-out lead', { to: maskPhoneNumberForLog(normalized) });
+      return false;
+    }
     console.error('[ColdCaller] Failed to send SMS link', {
       message: error?.message || error,
       to: maskPhoneNumberForLog(normalized),
@@ -852,6 +932,133 @@ function clearCallSmsRecord(callSid) {
   callSmsTracker.delete(callSid);
 }
 
+// The call log is best-effort: a storage hiccup must not drop a live call.
+async function safeColdCallLog(action, ...args) {
+  try {
+    return await action(...args);
+  } catch (error) {
+    console.error('[ColdCaller] Failed to update call log', { action: action.name, message: error?.message || error });
+    return null;
+  }
+}
+
+// Logs a /voice/cold-caller/* hop once its TwiML has gone out: what the lead
+// said (raw SpeechResult) and the lines the bot answered with.
+function logColdCallHop(req, res, step, lines) {
+  res.on('finish', () => {
+    const callSid = req.body?.CallSid || '';
+    if (res.statusCode !== 200 || !callSid) return;
+    const speech = String(req.body?.SpeechResult || '').trim();
+    const answeredBy = req.body?.AnsweredBy || '';
+    safeColdCallLog(recordColdCallTurn, callSid, {
+      step,
+      speech,
+      intent: res.locals.coldCallIntent || detectLeadIntent(speech),
+      botLines: lines,
+      answeredBy,
+    });
+    if (answeredBy.startsWith('machine')) {
+      safeColdCallLog(setColdCallDisposition, callSid, 'voicemail', { ifUnset: true });
+    }
+  });
+}
+
+// Asks the conversation engine (COLD_CALLER_ENGINE=llm) what to do with the
+// lead's answer. null means "use the keyword rules": engine off, nothing said,
+// or the model was too slow or off-menu.
+async function decideColdCallTurn(req, state) {
+  const speech = String(req.body?.SpeechResult || '').trim();
+  const callSid = req.body?.CallSid || '';
+  if (!coldCallerEngine.enabled || !speech || !callSid) return null;
+  const record = await safeColdCallLog(findColdCall, callSid);
+  return coldCallerEngine.decide({
+    turns: [...(record?.turns || []), { role: 'lead', text: speech }],
+    turn: Number(state.engineTurns) || 0,
+    goal: state.goal || '',
+    campaign: record?.campaign || '',
+    leadName: record?.leadName || '',
+    handoffAvailable: Boolean(state.handoffNumber),
+  });
+}
+
+async function respondWithEngineDecision({ req, res, state, decision, step, lines }) {
+  const appBaseUrl = resolveAppBaseUrl(req);
+  const { variant, preset } = resolveVariantPreset(state.variant);
+  // Model lines are new text every turn; synthesizing them here would come on
+  // top of the engine's own time budget, so they are spoken with <Say>.
+  const speak = (target, text) => appendSpeech(target, text, {
+    variantKey: variant,
+    preset,
+    baseUrl: appBaseUrl,
+    lines,
+    synthesize: false,
+  });
+  const callSid = req.body?.CallSid || '';
+  const leadNumber = extractLeadNumber(req.body);
+  const nextState = { ...state, engineTurns: (Number(state.engineTurns) || 0) + 1 };
+  res.locals.coldCallIntent = decision.intent;
+  const response = new VoiceResponse();
+
+  if (decision.action === 'speak') {
+    const action = absoluteUrl(`/voice/cold-caller/${step}?state=${signCallState(nextState)}`, appBaseUrl);
+    const gather = response.gather({
+      input: 'speech',
+      method: 'POST',
+      action,
+      speechTimeout: 'auto',
+      timeout: 6,
+      bargeIn: 'true',
+      actionOnEmptyResult: true,
+    });
+    await speak(gather, decision.line);
+    response.redirect(action);
+    return res.type('text/xml').send(response.toString());
+  }
+
+  if (decision.action === 'transfer') {
+    await speak(response, decision.line || state.connectLine || 'One moment while I connect you to a teammate.');
+    clearCallSmsRecord(callSid);
+    await safeColdCallLog(recordColdCallTransfer, callSid, { to: state.handoffNumber });
+    await safeColdCallLog(setColdCallDisposition, callSid, 'transferred');
+    const transferAction = absoluteUrl(`/voice/cold-caller/transfer?state=${signCallState(nextState)}`, appBaseUrl);
+    response.dial({ action: transferAction, method: 'POST' }, state.handoffNumber);
+    return res.type('text/xml').send(response.toString());
+  }
+
+  if (decision.action === 'send_link') {
+    if (leadNumber) {
+      await sendColdCallerLink(leadNumber, callSid);
+    }
+    await safeColdCallLog(setColdCallDisposition, callSid, 'link_sent');
+    await speak(response, decision.line || state.smsOfferLine || 'I just texted you a quick link so you can see the options.');
+  } else if (decision.action === 'schedule_callback') {
+    await safeColdCallLog(recordColdCallCallback, callSid, { when: decision.callbackTime });
+    await safeColdCallLog(setColdCallDisposition, callSid, 'callback_requested');
+    await speak(response, decision.line || 'Sounds good — we will call you back then.');
+  } else {
+    await safeColdCallLog(setColdCallDisposition, callSid, 'declined', { ifUnset: true });
+    await speak(response, decision.line || 'Thanks for your time. Talk soon!');
+  }
+  response.hangup();
+  return res.type('text/xml').send(response.toString());
+}
+
+// Voicemail-drop copy for a call, rendered up front so it rides in the signed state.
+function voicemailDropState({ campaign, leadName, fromNumber }) {
+  const { voicemail } = campaign;
+  const vars = {
+    leadName: sanitizeLine(leadName) || 'there',
+    callbackNumber: fromNumber,
+    link: COLD_CALLER_SMS_LINK,
+  };
+  return {
+    voicemailEnabled: voicemail.enabled !== false,
+    voicemailLine: sanitizeLine(renderTemplate(voicemail.message, vars)),
+    voicemailAudioUrl: sanitizeLine(voicemail.audioUrl),
+    voicemailSms: sanitizeLine(renderTemplate(voicemail.followUpSms, vars)),
+  };
+}
+
 const contentSecurityPolicy = [
   "default-src 'self'",
   "script-src 'self' 'unsafe-inline' 'unsafe-eval' https://js.stripe.com https://cdn.jsdelivr.net https://assets.calendly.com https://player.vimeo.com",
@@ -1017,6 +1224,9 @@ if (
 app.use(express.urlencoded({ extended: true, limit: BODY_LIMIT })); // Twilio posts form-url-encoded
 app.use(express.json({ limit: BODY_LIMIT }));
 
+// Every Twilio voice/SMS webhook (inbound calls, dial/record callbacks, cold caller, /sms).
+app.use(['/voice', '/sms'], createTwilioSignatureMiddleware({ getBaseUrl: resolveAppBaseUrl }));
+
 app.use(
   '/api/new-bright-water-grant',
   createNewBrightWaterGrantRouter({ stripe, appBaseUrl: APP_BASE_URL, hasStripeSecret })
@@ -1075,6 +1285,16 @@ app.use('/api/audit', createAuditRouter());
 app.use('/api/design', createDesignRouter());
 app.use('/api/teams', createTeamRouter());
 app.use('/api/warehouse', createWarehouseRouter());
+app.use('/api/admin/voicemails', createVoicemailsRouter());
+app.use('/api/admin/businesses', createBusinessesRouter());
+app.use('/api/admin/messages', createMessagesRouter());
+app.use('/api/admin/nudges', createNudgesRouter());
+app.use('/api/admin/inbox', createInboxRouter());
+app.use('/api/admin/reports', createReportsRouter());
+app.use('/api/admin/cold-calls', createColdCallsRouter());
+if (twilioTransport === 'outbox') {
+  app.use('/api/dev/outbox', createOutboxRouter());
+}
 
 app.use('/static/tts', express.static(TTS_CACHE_DIR, {
   setHeaders: (res) => {
@@ -1340,9 +1560,6 @@ app.use('/telegram-notify', kgRouter);
 
 
 const BUSINESS = process.env.BUSINESS_NAME || 'Our Team';
-const CAL_LINK = process.env.CALENDLY_SCHEDULING_LINK || '#';
-const REVIEW_LINK = process.env.REVIEW_LINK || '';
-const DIAL_TIMEOUT = parseInt(process.env.DIAL_TIMEOUT || '20', 10);
 
 const DENTAL_PLANS = [
   {
@@ -1561,6 +1778,9 @@ app.post('/api/real-estate/text-link', async (req, res) => {
 
     return res.json({ ok: true });
   } catch (error) {
+    if (error?.code === 'sms_opted_out') {
+      return res.status(409).json({ error: 'opted_out' });
+    }
     console.error('Real estate SMS link error:', error?.message || error, error);
     return res.status(500).json({ error: 'sms_failed' });
   }
@@ -1574,6 +1794,8 @@ async function queueColdCallerCall({
   script = '',
   voice = 'warm',
   handoffNumber = '',
+  campaign = '',
+  runId = '',
   appBaseUrl = DEFAULT_APP_BASE_URL,
 }) {
   const toNumber = normalizePhoneNumber(to);
@@ -1590,6 +1812,9 @@ async function queueColdCallerCall({
     throw error;
   }
 
+  const campaignId = sanitizeLine(campaign).slice(0, 80);
+  const campaignConfig = findColdCallerCampaign(campaignId);
+
   const presetKey = String(voice || '').toLowerCase();
   const preset = CALLER_VOICE_PRESETS[presetKey] || CALLER_VOICE_PRESETS.warm;
   const variantKey = preset?.variant || presetKey || 'warm';
@@ -1657,9 +1882,11 @@ async function queueColdCallerCall({
     prefillIntent: '',
     introNoSpeechCount: 0,
     qualifyNoSpeechCount: 0,
+    greetingLine,
+    goal: sanitizeLine(goal).slice(0, 120),
+    ...voicemailDropState({ campaign: campaignConfig, leadName, fromNumber }),
   };
-  const encodedState = encodeCallState(callState);
-  const introAction = absoluteUrl(`/voice/cold-caller/intro?state=${encodedState}`, appBaseUrl);
+  const answerUrl = absoluteUrl(`/voice/cold-caller/answer?state=${signCallState(callState)}`, appBaseUrl);
 
   if (USE_ELEVENLABS) {
     const warmupLines = [
@@ -1673,6 +1900,7 @@ async function queueColdCallerCall({
       declineLine,
       handoffPromptLine,
       connectLine,
+      callState.voicemailAudioUrl ? '' : callState.voicemailLine,
     ].filter(Boolean);
 
     await Promise.all(warmupLines.map((line) =>
@@ -1684,36 +1912,41 @@ async function queueColdCallerCall({
     ));
   }
 
-  const voiceResponse = new VoiceResponse();
-  await appendSpeech(voiceResponse, greetingLine, { variantKey, preset, baseUrl: appBaseUrl });
-
-  const gather = voiceResponse.gather({
-    input: 'speech',
-    method: 'POST',
-    action: introAction,
-    speechTimeout: 'auto',
-    timeout: 5,
-    bargeIn: 'true',
-    actionOnEmptyResult: true,
-  });
-
-  await appendSpeech(gather, quickIntroLine, { variantKey, preset, baseUrl: appBaseUrl });
-  gather.pause({ length: 1 });
-  await appendSpeech(gather, introQuestionLine, { variantKey, preset, baseUrl: appBaseUrl });
-
-  voiceResponse.redirect(introAction);
-
-  const twiml = voiceResponse.toString();
-  console.info('[ColdCaller] TwiML preview', twiml.slice(0, 400) + (twiml.length > 400 ? '…' : ''));
-
-  const call = await twilioClient.calls.create({
+  const callLog = {
     to: toNumber,
-    from: fromNumber,
-    twiml,
-    machineDetection: 'DetectMessageEnd',
-  });
+    leadName: sanitizeLine(leadName),
+    campaign: campaignId,
+    variant: variantKey,
+    handoffNumber: handoff,
+    runId: runId || null,
+  };
+  let call;
+  try {
+    // The greeting waits for answering-machine detection: /answer gets
+    // AnsweredBy and either starts the conversation or drops a voicemail.
+    call = await twilioClient.calls.create({
+      to: toNumber,
+      from: fromNumber,
+      url: answerUrl,
+      method: 'POST',
+      machineDetection: 'DetectMessageEnd',
+      statusCallback: absoluteUrl('/voice/cold-caller/status', appBaseUrl),
+      statusCallbackMethod: 'POST',
+      statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+    });
+  } catch (error) {
+    if (BAD_NUMBER_ERROR_CODES.includes(Number(error?.code))) {
+      await safeColdCallLog(startColdCall, {
+        ...callLog,
+        disposition: 'bad_number',
+        error: { code: error.code, message: error.message || '' },
+      });
+    }
+    throw error;
+  }
 
   console.info('[ColdCaller] Twilio call queued', { sid: call.sid, to: maskPhoneNumberForLog(toNumber) });
+  await safeColdCallLog(startColdCall, { ...callLog, callSid: call.sid });
 
   return { sid: call.sid, to: toNumber, variant: variantKey };
 }
@@ -1755,15 +1988,97 @@ app.post('/api/cold-caller/dial', async (req, res) => {
   }
 });
 
+// First hop, once answering-machine detection has finished. People get the
+// greeting and the intro gather; machines get the campaign's voicemail drop
+// (DetectMessageEnd waits for the beep) and, optionally, a follow-up text.
+app.post('/voice/cold-caller/answer', async (req, res) => {
+  const lines = [];
+  logColdCallHop(req, res, 'answer', lines);
+  try {
+    const state = await requireCallState(req, res);
+    if (!state) return;
+    const appBaseUrl = resolveAppBaseUrl(req);
+    const { variant, preset } = resolveVariantPreset(state.variant);
+    const answeredBy = String(req.body?.AnsweredBy || '');
+    const callSid = req.body?.CallSid || '';
+    const response = new VoiceResponse();
+
+    if (answeredBy === 'fax') {
+      await safeColdCallLog(setColdCallDisposition, callSid, 'bad_number');
+      response.hangup();
+      return res.type('text/xml').send(response.toString());
+    }
+
+    if (answeredBy.startsWith('machine')) {
+      await safeColdCallLog(setColdCallDisposition, callSid, 'voicemail');
+      if (state.voicemailEnabled && state.voicemailAudioUrl) {
+        response.play(state.voicemailAudioUrl);
+        lines.push(`[audio] ${state.voicemailAudioUrl}`);
+      } else if (state.voicemailEnabled) {
+        await appendSpeech(response, state.voicemailLine, { variantKey: variant, preset, baseUrl: appBaseUrl, lines });
+      }
+      response.hangup();
+      const leadNumber = extractLeadNumber(req.body);
+      if (state.voicemailEnabled && state.voicemailSms && leadNumber) {
+        await sendColdCallerLink(leadNumber, callSid, { body: state.voicemailSms });
+      }
+      return res.type('text/xml').send(response.toString());
+    }
+
+    const introAction = absoluteUrl(`/voice/cold-caller/intro?state=${signCallState(state)}`, appBaseUrl);
+    await appendSpeech(response, state.greetingLine || 'Hey, Alex with Delco Realty.', {
+      variantKey: variant,
+      preset,
+      baseUrl: appBaseUrl,
+      lines,
+    });
+    const gather = response.gather({
+      input: 'speech',
+      method: 'POST',
+      action: introAction,
+      speechTimeout: 'auto',
+      timeout: 5,
+      bargeIn: 'true',
+      actionOnEmptyResult: true,
+    });
+    const introLines = Array.isArray(state.introLines) ? state.introLines : [];
+    for (let i = 0; i < introLines.length; i += 1) {
+      await appendSpeech(gather, introLines[i], { variantKey: variant, preset, baseUrl: appBaseUrl, lines });
+      if (i < introLines.length - 1) {
+        gather.pause({ length: 1 });
+      }
+    }
+    response.redirect(introAction);
+
+    const twiml = response.toString();
+    console.info('[ColdCaller] TwiML preview', twiml.slice(0, 400) + (twiml.length > 400 ? '…' : ''));
+    return res.type('text/xml').send(twiml);
+  } catch (error) {
+    console.error('[ColdCaller] Answer handler error', {
+      message: error?.message || error,
+      stack: error?.stack,
+    });
+    const fallback = new VoiceResponse();
+    fallback.hangup();
+    return res.type('text/xml').send(fallback.toString());
+  }
+});
+
 app.post('/voice/cold-caller/intro', async (req, res) => {
+  const lines = [];
+  logColdCallHop(req, res, 'intro', lines);
   try {
-    const stateToken = typeof req.query?.state === 'string' ? req.query.state : '';
-    const state = decodeCallState(stateToken) || {};
+    const state = await requireCallState(req, res);
+    if (!state) return;
     const appBaseUrl = resolveAppBaseUrl(req);
     const { variant, preset } = resolveVariantPreset(state.variant);
     const speech = normalizeSpeech(req.body?.SpeechResult);
     const callSid = req.body?.CallSid || '';
     const leadNumber = extractLeadNumber(req.body);
+    const decision = await decideColdCallTurn(req, state);
+    if (decision) {
+      return respondWithEngineDecision({ req, res, state, decision, step: 'intro', lines });
+    }
     const wantsLinkNow = requestsLink(speech);
     const intent = detectLeadIntent(speech);
     const hasIntent = Boolean(intent);
@@ -1772,11 +2087,13 @@ app.post('/voice/cold-caller/intro', async (req, res) => {
       if (leadNumber) {
         await sendColdCallerLink(leadNumber, callSid);
       }
+      await safeColdCallLog(setColdCallDisposition, callSid, wantsLinkNow ? 'link_sent' : 'declined');
       const response = new VoiceResponse();
       await appendSpeech(response, state.declineLine || 'No worries — I just texted you the link. Have a great day!', {
         variantKey: variant,
         preset,
         baseUrl: appBaseUrl,
+        lines,
       });
       response.hangup();
       return res.type('text/xml').send(response.toString());
@@ -1791,9 +2108,10 @@ app.post('/voice/cold-caller/intro', async (req, res) => {
         variantKey: variant,
         preset,
         baseUrl: appBaseUrl,
+        lines,
       });
 
-      const qualifyState = encodeCallState(nextState);
+      const qualifyState = signCallState(nextState);
       const qualifyAction = absoluteUrl(`/voice/cold-caller/qualify?state=${qualifyState}`, appBaseUrl);
       const gather = response.gather({
         input: 'speech',
@@ -1809,12 +2127,14 @@ app.post('/voice/cold-caller/intro', async (req, res) => {
         variantKey: variant,
         preset,
         baseUrl: appBaseUrl,
+        lines,
       });
       gather.pause({ length: 1 });
       await appendSpeech(gather, state.qualifierQuestion || 'Are you looking to buy, sell, or invest in the next 90 days?', {
         variantKey: variant,
         preset,
         baseUrl: appBaseUrl,
+        lines,
       });
 
       response.redirect(qualifyAction);
@@ -1829,11 +2149,13 @@ app.post('/voice/cold-caller/intro', async (req, res) => {
         if (leadNumber) {
           await sendColdCallerLink(leadNumber, callSid);
         }
+        await safeColdCallLog(setColdCallDisposition, callSid, 'link_sent');
         const response = new VoiceResponse();
         await appendSpeech(response, state.smsOfferLine || 'I just texted you a quick link so you can see the options.', {
           variantKey: variant,
           preset,
           baseUrl: appBaseUrl,
+          lines,
         });
         response.hangup();
         return res.type('text/xml').send(response.toString());
@@ -1841,7 +2163,7 @@ app.post('/voice/cold-caller/intro', async (req, res) => {
 
       const nextState = { ...state, introNoSpeechCount: introNoSpeechCount + 1 };
       const response = new VoiceResponse();
-      const introState = encodeCallState(nextState);
+      const introState = signCallState(nextState);
       const introAction = absoluteUrl(`/voice/cold-caller/intro?state=${introState}`, appBaseUrl);
       const gather = response.gather({
         input: 'speech',
@@ -1854,7 +2176,7 @@ app.post('/voice/cold-caller/intro', async (req, res) => {
       });
 
       for (let i = 0; i < introLines.length; i += 1) {
-        await appendSpeech(gather, introLines[i], { variantKey: variant, preset, baseUrl: appBaseUrl });
+        await appendSpeech(gather, introLines[i], { variantKey: variant, preset, baseUrl: appBaseUrl, lines });
         if (i < introLines.length - 1) {
           gather.pause({ length: 1 });
         }
@@ -1865,7 +2187,7 @@ app.post('/voice/cold-caller/intro', async (req, res) => {
     }
 
     const response = new VoiceResponse();
-    const introState = encodeCallState(state);
+    const introState = signCallState(state);
     const introAction = absoluteUrl(`/voice/cold-caller/intro?state=${introState}`, appBaseUrl);
     const gather = response.gather({
       input: 'speech',
@@ -1878,7 +2200,7 @@ app.post('/voice/cold-caller/intro', async (req, res) => {
     });
 
     for (let i = 0; i < introLines.length; i += 1) {
-      await appendSpeech(gather, introLines[i], { variantKey: variant, preset, baseUrl: appBaseUrl });
+      await appendSpeech(gather, introLines[i], { variantKey: variant, preset, baseUrl: appBaseUrl, lines });
       if (i < introLines.length - 1) {
         gather.pause({ length: 1 });
       }
@@ -1898,6 +2220,7 @@ app.post('/voice/cold-caller/intro', async (req, res) => {
       variantKey: variant,
       preset,
       baseUrl: appBaseUrl,
+      lines,
     });
     fallback.hangup();
     return res.type('text/xml').send(fallback.toString());
@@ -1905,9 +2228,11 @@ app.post('/voice/cold-caller/intro', async (req, res) => {
 });
 
 app.post('/voice/cold-caller/qualify', async (req, res) => {
+  const lines = [];
+  logColdCallHop(req, res, 'qualify', lines);
   try {
-    const stateToken = typeof req.query?.state === 'string' ? req.query.state : '';
-    const state = decodeCallState(stateToken) || {};
+    const state = await requireCallState(req, res);
+    if (!state) return;
     const appBaseUrl = resolveAppBaseUrl(req);
     const { variant, preset } = resolveVariantPreset(state.variant);
     const prefillIntent = typeof state.prefillIntent === 'string' ? state.prefillIntent : '';
@@ -1917,6 +2242,10 @@ app.post('/voice/cold-caller/qualify', async (req, res) => {
     }
     const callSid = req.body?.CallSid || '';
     const leadNumber = extractLeadNumber(req.body);
+    const decision = await decideColdCallTurn(req, state);
+    if (decision) {
+      return respondWithEngineDecision({ req, res, state, decision, step: 'qualify', lines });
+    }
     const wantsLinkNow = requestsLink(speech);
 
     const qualifyNoSpeechCount = Number(state.qualifyNoSpeechCount) || 0;
@@ -1926,11 +2255,13 @@ app.post('/voice/cold-caller/qualify', async (req, res) => {
         if (leadNumber) {
           await sendColdCallerLink(leadNumber, callSid);
         }
+        await safeColdCallLog(setColdCallDisposition, callSid, 'link_sent');
         const response = new VoiceResponse();
         await appendSpeech(response, state.smsOfferLine || 'I just texted you a quick link so you can see the options.', {
           variantKey: variant,
           preset,
           baseUrl: appBaseUrl,
+          lines,
         });
         response.hangup();
         return res.type('text/xml').send(response.toString());
@@ -1938,7 +2269,7 @@ app.post('/voice/cold-caller/qualify', async (req, res) => {
 
       const nextState = { ...state, qualifyNoSpeechCount: qualifyNoSpeechCount + 1 };
       const response = new VoiceResponse();
-      const qualifyState = encodeCallState(nextState);
+      const qualifyState = signCallState(nextState);
       const qualifyAction = absoluteUrl(`/voice/cold-caller/qualify?state=${qualifyState}`, appBaseUrl);
       const gather = response.gather({
         input: 'speech',
@@ -1953,6 +2284,7 @@ app.post('/voice/cold-caller/qualify', async (req, res) => {
         variantKey: variant,
         preset,
         baseUrl: appBaseUrl,
+        lines,
       });
       response.redirect(qualifyAction);
       return res.type('text/xml').send(response.toString());
@@ -1962,11 +2294,13 @@ app.post('/voice/cold-caller/qualify', async (req, res) => {
       if (leadNumber) {
         await sendColdCallerLink(leadNumber, callSid);
       }
+      await safeColdCallLog(setColdCallDisposition, callSid, 'declined');
       const response = new VoiceResponse();
       await appendSpeech(response, state.declineLine || 'No worries — I just texted you the link. Have a great day!', {
         variantKey: variant,
         preset,
         baseUrl: appBaseUrl,
+        lines,
       });
       response.hangup();
       return res.type('text/xml').send(response.toString());
@@ -1975,6 +2309,8 @@ app.post('/voice/cold-caller/qualify', async (req, res) => {
     if (leadNumber) {
       await sendColdCallerLink(leadNumber, callSid);
     }
+    // A transfer from the handoff prompt upgrades this.
+    await safeColdCallLog(setColdCallDisposition, callSid, 'link_sent');
 
     const intent = detectLeadIntent(speech);
     const intentLineMap = {
@@ -1990,15 +2326,17 @@ app.post('/voice/cold-caller/qualify', async (req, res) => {
       variantKey: variant,
       preset,
       baseUrl: appBaseUrl,
+      lines,
     });
     await appendSpeech(response, state.smsOfferLine || 'I just texted you a quick link so you can see the options.', {
       variantKey: variant,
       preset,
       baseUrl: appBaseUrl,
+      lines,
     });
 
     if (state.handoffNumber) {
-      const handoffState = encodeCallState(state);
+      const handoffState = signCallState(state);
       const handoffAction = absoluteUrl(`/voice/cold-caller/handoff?state=${handoffState}`, appBaseUrl);
       const gather = response.gather({
         input: 'speech',
@@ -2013,6 +2351,7 @@ app.post('/voice/cold-caller/qualify', async (req, res) => {
         variantKey: variant,
         preset,
         baseUrl: appBaseUrl,
+        lines,
       });
       response.redirect(handoffAction);
     } else {
@@ -2020,6 +2359,7 @@ app.post('/voice/cold-caller/qualify', async (req, res) => {
         variantKey: variant,
         preset,
         baseUrl: appBaseUrl,
+        lines,
       });
       response.hangup();
     }
@@ -2037,6 +2377,7 @@ app.post('/voice/cold-caller/qualify', async (req, res) => {
       variantKey: variant,
       preset,
       baseUrl: appBaseUrl,
+      lines,
     });
     fallback.hangup();
     return res.type('text/xml').send(fallback.toString());
@@ -2044,14 +2385,20 @@ app.post('/voice/cold-caller/qualify', async (req, res) => {
 });
 
 app.post('/voice/cold-caller/handoff', async (req, res) => {
+  const lines = [];
+  logColdCallHop(req, res, 'handoff', lines);
   try {
-    const stateToken = typeof req.query?.state === 'string' ? req.query.state : '';
-    const state = decodeCallState(stateToken) || {};
+    const state = await requireCallState(req, res);
+    if (!state) return;
     const appBaseUrl = resolveAppBaseUrl(req);
     const { variant, preset } = resolveVariantPreset(state.variant);
     const speech = normalizeSpeech(req.body?.SpeechResult);
     const callSid = req.body?.CallSid || '';
     const leadNumber = extractLeadNumber(req.body);
+    const decision = await decideColdCallTurn(req, state);
+    if (decision) {
+      return respondWithEngineDecision({ req, res, state, decision, step: 'handoff', lines });
+    }
     const wantsLinkNow = requestsLink(speech);
     const handoffNumber = state.handoffNumber || '';
 
@@ -2061,6 +2408,7 @@ app.post('/voice/cold-caller/handoff', async (req, res) => {
         variantKey: variant,
         preset,
         baseUrl: appBaseUrl,
+        lines,
       });
       response.hangup();
       return res.type('text/xml').send(response.toString());
@@ -2068,7 +2416,7 @@ app.post('/voice/cold-caller/handoff', async (req, res) => {
 
     if (!speech) {
       const response = new VoiceResponse();
-      const handoffState = encodeCallState(state);
+      const handoffState = signCallState(state);
       const handoffAction = absoluteUrl(`/voice/cold-caller/handoff?state=${handoffState}`, appBaseUrl);
       const gather = response.gather({
         input: 'speech',
@@ -2083,6 +2431,7 @@ app.post('/voice/cold-caller/handoff', async (req, res) => {
         variantKey: variant,
         preset,
         baseUrl: appBaseUrl,
+        lines,
       });
       response.redirect(handoffAction);
       return res.type('text/xml').send(response.toString());
@@ -2094,9 +2443,13 @@ app.post('/voice/cold-caller/handoff', async (req, res) => {
         variantKey: variant,
         preset,
         baseUrl: appBaseUrl,
+        lines,
       });
       clearCallSmsRecord(callSid);
-      response.dial(handoffNumber);
+      await safeColdCallLog(recordColdCallTransfer, callSid, { to: handoffNumber });
+      await safeColdCallLog(setColdCallDisposition, callSid, 'transferred');
+      const transferAction = absoluteUrl(`/voice/cold-caller/transfer?state=${signCallState(state)}`, appBaseUrl);
+      response.dial({ action: transferAction, method: 'POST' }, handoffNumber);
       return res.type('text/xml').send(response.toString());
     }
 
@@ -2109,13 +2462,14 @@ app.post('/voice/cold-caller/handoff', async (req, res) => {
         variantKey: variant,
         preset,
         baseUrl: appBaseUrl,
+        lines,
       });
       response.hangup();
       return res.type('text/xml').send(response.toString());
     }
 
     const response = new VoiceResponse();
-    const handoffState = encodeCallState(state);
+    const handoffState = signCallState(state);
     const handoffAction = absoluteUrl(`/voice/cold-caller/handoff?state=${handoffState}`, appBaseUrl);
     const gather = response.gather({
       input: 'speech',
@@ -2130,6 +2484,7 @@ app.post('/voice/cold-caller/handoff', async (req, res) => {
       variantKey: variant,
       preset,
       baseUrl: appBaseUrl,
+      lines,
     });
     response.redirect(handoffAction);
     return res.type('text/xml').send(response.toString());
@@ -2145,12 +2500,104 @@ app.post('/voice/cold-caller/handoff', async (req, res) => {
       variantKey: variant,
       preset,
       baseUrl: appBaseUrl,
+      lines,
     });
     fallback.hangup();
     return res.type('text/xml').send(fallback.toString());
   }
 });
 
+// Twilio status callbacks for cold calls (initiated → ringing → answered →
+// completed, or busy / no-answer / failed / canceled). Updates the call log and
+// publishes call:<status> on the activity stream; in-progress is "answered".
+// Calls that never connected get a no_answer / bad_number disposition unless
+// the conversation already set one.
+const COLD_CALL_STATUS_DISPOSITIONS = {
+  busy: 'no_answer',
+  'no-answer': 'no_answer',
+  canceled: 'no_answer',
+  failed: 'bad_number',
+};
+
+app.post('/voice/cold-caller/status', async (req, res) => {
+  res.sendStatus(204);
+  const callSid = req.body?.CallSid || '';
+  const callStatus = String(req.body?.CallStatus || '').toLowerCase();
+  if (!callSid || !callStatus) return;
+  const status = callStatus === 'in-progress' ? 'answered' : callStatus;
+  const duration = Number(req.body?.CallDuration);
+  const price = req.body?.Price ? Number(req.body.Price) : null;
+  try {
+    const call = await recordColdCallStatus(callSid, {
+      status,
+      duration: Number.isFinite(duration) ? duration : null,
+      price: Number.isFinite(price) ? price : null,
+      priceUnit: req.body?.PriceUnit || null,
+      answeredBy: req.body?.AnsweredBy || '',
+    });
+    if (COLD_CALL_STATUS_DISPOSITIONS[status]) {
+      await setColdCallDisposition(callSid, COLD_CALL_STATUS_DISPOSITIONS[status], { ifUnset: true });
+    }
+    publishAutomationEvent({
+      type: `call:${status}`,
+      mode: 'call',
+      runId: call?.runId || null,
+      sid: callSid,
+      lead: {
+        name: call?.leadName || '',
+        phone: maskPhoneNumberForLog(call?.to || req.body?.To || ''),
+      },
+      status,
+      duration: call?.duration ?? null,
+      price: call?.price ?? null,
+      priceUnit: call?.priceUnit || null,
+      answeredBy: call?.answeredBy || null,
+    });
+  } catch (error) {
+    console.error('[ColdCaller] Status callback failed', { message: error?.message || error, callSid });
+  }
+});
+
+// <Dial> action for handoffs: records how the transfer went. The lead already
+// has the SMS link, so a missed transfer just ends the call politely.
+app.post('/voice/cold-caller/transfer', async (req, res) => {
+  const lines = [];
+  logColdCallHop(req, res, 'transfer', lines);
+  try {
+    const state = await requireCallState(req, res);
+    if (!state) return;
+    const callSid = req.body?.CallSid || '';
+    const status = String(req.body?.DialCallStatus || '').toLowerCase();
+    const duration = Number(req.body?.DialCallDuration);
+    await safeColdCallLog(finishColdCallTransfer, callSid, {
+      status: status || 'unknown',
+      duration: Number.isFinite(duration) ? duration : null,
+    });
+
+    const response = new VoiceResponse();
+    if (status !== 'completed' && status !== 'answered') {
+      await safeColdCallLog(setColdCallDisposition, callSid, 'link_sent');
+      const { variant, preset } = resolveVariantPreset(state.variant);
+      await appendSpeech(response, 'Sorry, my teammate is tied up. We will follow up by text shortly.', {
+        variantKey: variant,
+        preset,
+        baseUrl: resolveAppBaseUrl(req),
+        lines,
+      });
+    }
+    response.hangup();
+    return res.type('text/xml').send(response.toString());
+  } catch (error) {
+    console.error('[ColdCaller] Transfer handler error', {
+      message: error?.message || error,
+      stack: error?.stack,
+    });
+    const fallback = new VoiceResponse();
+    fallback.hangup();
+    return res.type('text/xml').send(fallback.toString());
+  }
+});
+
 // ---------------------------------------------------------------------
 // Stripe Checkout: subscription ($150/mo) + one-time setup ($300)
 // Supports promo "DELCO150" via env STRIPE_COUPON_DELCO150
@@ -2452,38 +2899,359 @@ Speak confidently, but stay human — no AI disclaimers.
 // ---------------------------------------------------------------------
 // Twilio Voice: forward, then detect missed calls
 // ---------------------------------------------------------------------
-app.post('/voice', (req, res) => {
+app.post('/voice', async (req, res) => {
   const VoiceResponse = require('twilio').twiml.VoiceResponse;
   const twiml = new VoiceResponse();
+  const business = await resolveBusiness(req.body.To);
+  const schedule = resolveVoiceSchedule(undefined, { business });
+  const baseUrl = resolveAppBaseUrl(req);
+  const { variant, preset } = resolveVariantPreset(schedule.voice);
+
+  if (!schedule.open) {
+    await appendAfterHoursMenu(twiml, schedule, { business, baseUrl, attempt: 1 });
+    return res.type('text/xml').send(twiml.toString());
+  }
 
-  const dial = twiml.dial({ action: '/voice/after', timeout: DIAL_TIMEOUT });
-  dial.number(process.env.FORWARD_TO_NUMBER);
+  if (schedule.greeting) {
+    await appendSpeech(twiml, renderTemplate(schedule.greeting, smsFlowVars(business)), { variantKey: variant, preset, baseUrl });
+  }
+  const dial = twiml.dial({ action: '/voice/after', timeout: schedule.dialTimeout });
+  dial.number(schedule.forwardTo);
 
   twiml.say('Sorry, we were unable to connect your call. We will text you shortly.');
   res.type('text/xml').send(twiml.toString());
 });
 
+// After-hours IVR: 1 pages the on-call number, 2 (or no input) gets the text-back.
+async function appendAfterHoursMenu(twiml, schedule, { business, baseUrl, attempt }) {
+  const { variant, preset } = resolveVariantPreset(schedule.voice);
+  const afterHours = schedule.afterHours || {};
+  const vars = smsFlowVars(business, { holiday: schedule.holiday || '' });
+  const gather = twiml.gather({
+    numDigits: 1,
+    timeout: 6,
+    action: absoluteUrl(`/voice/after-hours?attempt=${attempt}`, baseUrl),
+    method: 'POST',
+  });
+  if (attempt === 1) {
+    const greeting = schedule.holiday && afterHours.holidayGreeting ? afterHours.holidayGreeting : afterHours.greeting;
+    if (greeting) {
+      await appendSpeech(gather, renderTemplate(greeting, vars), { variantKey: variant, preset, baseUrl });
+    }
+  }
+  const menu = schedule.onCallNumber
+    ? afterHours.menu || 'If this is an emergency, press 1. Press 2 and we will text you right back.'
+    : 'Press 2 and we will text you right back.';
+  await appendSpeech(gather, renderTemplate(menu, vars), { variantKey: variant, preset, baseUrl });
+  // No key pressed: treat it like option 2.
+  twiml.redirect({ method: 'POST' }, absoluteUrl(`/voice/after-hours?attempt=${attempt}`, baseUrl));
+}
+
+app.post('/voice/after-hours', async (req, res) => {
+  const VoiceResponse = require('twilio').twiml.VoiceResponse;
+  const twiml = new VoiceResponse();
+  const business = await resolveBusiness(req.body.To);
+  const schedule = resolveVoiceSchedule(undefined, { business });
+  const afterHours = schedule.afterHours || {};
+  const baseUrl = resolveAppBaseUrl(req);
+  const { variant, preset } = resolveVariantPreset(schedule.voice);
+  const from = req.body.From;
+  const digit = String(req.body.Digits || '').trim();
+  const attempt = Number(req.query.attempt || 1);
+  const maxAttempts = Math.max(1, Number(afterHours.maxMenuAttempts || 2));
+
+  if (digit === '1' && schedule.onCallNumber) {
+    await appendSpeech(twiml, afterHours.emergencyLine || 'Connecting you to our on-call team now.', { variantKey: variant, preset, baseUrl });
+    // A missed on-call page falls through to the normal missed-call text-back.
+    const dial = twiml.dial({ action: '/voice/after', timeout: schedule.dialTimeout });
+    dial.number(schedule.onCallNumber);
+    res.type('text/xml').send(twiml.toString());
+    await sendTelegramAlert(`🚨 After-hours emergency call for ${business.name}\nFrom: ${from}\nPaging on-call: ${maskPhoneNumberForLog(schedule.onCallNumber)}`);
+    return;
+  }
+
+  if (digit && digit !== '2' && attempt < maxAttempts) {
+    await appendAfterHoursMenu(twiml, schedule, { business, baseUrl, attempt: attempt + 1 });
+    return res.type('text/xml').send(twiml.toString());
+  }
+
+  await appendSpeech(twiml, afterHours.textBackLine || 'We will text you in just a moment. Goodbye!', { variantKey: variant, preset, baseUrl });
+  twiml.hangup();
+  res.type('text/xml').send(twiml.toString());
+
+  await safeRecordRecovery('missed_call', {
+    key: req.body.CallSid || `${from}:${new Date().toISOString()}`,
+    phone: from,
+    business,
+    source: 'after_hours',
+  });
+
+  if (from) {
+    try {
+      await sendMissedCallFollowUp(from, { callStatus: 'after-hours', business });
+    } catch (error) {
+      console.error('[Voice] After-hours text-back failed', { message: error?.message || error, from: maskPhoneNumberForLog(from) });
+    }
+  }
+});
+
+// Report events are best-effort as well.
+async function safeRecordRecovery(type, { key, phone = null, business, source = null }) {
+  try {
+    await recordRecoveryEvent(type, { key, phone, business: business.id, source });
+  } catch (error) {
+    console.error('[Reports] Failed to record event', { type, message: error?.message || error });
+  }
+}
+
+// Lead writes are best-effort and run in the background: a CRM outage or
+// Sheets backoff must not stop or delay the customer reply. Writes for one
+// phone still land in order.
+const pendingLeadWrites = new Map();
+
+function safeUpsertLead(phone, patch, business = null) {
+  const previous = pendingLeadWrites.get(phone) || Promise.resolve();
+  const write = previous
+    .then(() => getLeadRepository(business || defaultBusiness()).upsertByPhone(phone, patch))
+    .catch((error) => {
+      console.error('[Leads] Lead update failed', { message: error?.message || error, phone: maskPhoneNumberForLog(phone) });
+    });
+  pendingLeadWrites.set(phone, write);
+  write.then(() => {
+    if (pendingLeadWrites.get(phone) === write) pendingLeadWrites.delete(phone);
+  });
+}
+
+// Resolves once queued lead writes for this phone have finished.
+function leadWritesSettled(phone) {
+  return pendingLeadWrites.get(phone) || Promise.resolve();
+}
+
+const VOICEMAIL_ENABLED = /^(1|true|yes)$/i.test(process.env.VOICEMAIL_ENABLED || '');
+const VOICEMAIL_MAX_SECONDS = Math.max(10, Number(process.env.VOICEMAIL_MAX_SECONDS || '120'));
+const VOICEMAIL_MIN_SECONDS = Math.max(0, Number(process.env.VOICEMAIL_MIN_SECONDS || '2'));
+const VOICEMAIL_GREETING = process.env.VOICEMAIL_GREETING
+  || "Sorry we missed your call at {{business}}. Leave a short message after the beep and we'll text you right back.";
+const VOICEMAIL_TRANSCRIPT_WAIT_MS = 3 * 60 * 1000;
+
+async function sendMissedCallFollowUp(from, { callStatus, voicemail = null, business = defaultBusiness() } = {}) {
+  const locale = await knownLocale(from, business);
+  const flow = localizeFlow(loadFlow(business.smsFlow), locale);
+  await startConversation(from, { flow, business });
+  safeUpsertLead(from, { status: 'opened' }, business);
+  const summaryLine = voicemail?.summary
+    ? renderTemplate(localeText(locale, 'voicemailSummary'), { summary: voicemail.summary })
+    : '';
+  await sendSMS(
+    from,
+    `${missedCallMessage(flow, business)}${summaryLine}`,
+    {
+      source: voicemail ? 'missed_call_voicemail_follow_up' : 'missed_call_follow_up',
+      callStatus,
+      callSid: voicemail?.callSid || null,
+      business: business.id,
+    },
+    businessSmsOptions(business)
+  );
+  await markOutbound(from);
+  await safeScheduleNudges(from, { flow, business });
+}
+
+// A lead's language, from the live conversation or the lead record.
+async function knownLocale(phone, business) {
+  const state = await getState(phone);
+  if (state?.locale) return normalizeLocale(state.locale);
+  try {
+    const lead = await getLeadRepository(business).findByPhone(phone);
+    if (lead?.locale) return normalizeLocale(lead.locale);
+  } catch (error) {
+    console.warn('[Leads] Locale lookup failed', error?.message || error);
+  }
+  return DEFAULT_LOCALE;
+}
+
+// The drip is best-effort too: the text-back has already gone out.
+async function safeScheduleNudges(phone, { flow, business }) {
+  try {
+    await scheduleNudges(phone, { business: business.id, flow });
+  } catch (error) {
+    console.error('[Nudges] Scheduling failed', { message: error?.message || error, phone: maskPhoneNumberForLog(phone) });
+  }
+}
+
+async function safeStopNudges(phone, { business, reason }) {
+  try {
+    await stopNudges(phone, { business: business.id, reason });
+  } catch (error) {
+    console.error('[Nudges] Stop failed', { message: error?.message || error, reason, phone: maskPhoneNumberForLog(phone) });
+  }
+}
+
+async function notifyVoicemail(voicemail, business) {
+  const lines = [
+    `📞 New voicemail for ${business.name}`,
+    `From: ${voicemail.from}`,
+    voicemail.recordingDuration ? `Length: ${voicemail.recordingDuration}s` : '',
+    voicemail.summary ? `Summary: ${voicemail.summary}` : '',
+    voicemail.recordingUrl ? `Recording: ${voicemail.recordingUrl}` : '',
+  ].filter(Boolean);
+  await sendTelegramAlert(lines.join('\n'));
+}
+
+// Sends the text-back for a voicemail exactly once, whichever callback gets there first.
+async function completeVoicemailFollowUp(callSid) {
+  if (!(await claimFollowUp(callSid))) return;
+  const voicemail = await findVoicemail(callSid);
+  if (!voicemail?.from) return;
+  const business = await resolveBusiness(voicemail.to);
+  try {
+    await sendMissedCallFollowUp(voicemail.from, { callStatus: voicemail.callStatus, voicemail, business });
+  } catch (error) {
+    console.error('[Voicemail] Follow-up SMS failed', { message: error?.message || error, callSid });
+  }
+  if (voicemail.recordingUrl) {
+    await notifyVoicemail(voicemail, business);
+  }
+}
+
 app.post('/voice/after', async (req, res) => {
   const callStatus = req.body.DialCallStatus; // 'completed' | 'busy' | 'no-answer' | 'failed'
   const from = req.body.From;
+  const missed = ['busy', 'no-answer', 'failed'].includes(callStatus);
+  const business = await resolveBusiness(req.body.To);
 
   const VoiceResponse = require('twilio').twiml.VoiceResponse;
   const twiml = new VoiceResponse();
+
+  if (missed) {
+    await safeRecordRecovery('missed_call', {
+      key: req.body.CallSid || `${from}:${new Date().toISOString()}`,
+      phone: from,
+      business,
+      source: callStatus,
+    });
+  }
+
+  // Without a voicemail record the recording callbacks have nothing to attach
+  // to, so a store failure falls back to the plain hangup and text-back.
+  let voicemailStarted = false;
+  if (missed && VOICEMAIL_ENABLED && req.body.CallSid) {
+    try {
+      await createVoicemail({ callSid: req.body.CallSid, from, to: req.body.To, callStatus });
+      voicemailStarted = true;
+    } catch (error) {
+      console.error('[Voicemail] Failed to start voicemail', { message: error?.message || error, callSid: req.body.CallSid });
+    }
+  }
+
+  if (voicemailStarted) {
+    const baseUrl = resolveAppBaseUrl(req);
+    const { variant, preset } = resolveVariantPreset();
+    const locale = await knownLocale(from, business);
+    const greeting = businessTemplate(
+      business,
+      'voicemailGreeting',
+      locale === DEFAULT_LOCALE ? VOICEMAIL_GREETING : localeText(locale, 'voicemailGreeting'),
+      locale
+    );
+    await appendSpeech(twiml, renderTemplate(greeting, smsFlowVars(business)), { variantKey: variant, preset, baseUrl });
+    twiml.record({
+      action: absoluteUrl('/voice/voicemail/complete', baseUrl),
+      method: 'POST',
+      maxLength: VOICEMAIL_MAX_SECONDS,
+      playBeep: true,
+      finishOnKey: '#',
+      recordingStatusCallback: absoluteUrl('/voice/voicemail/recording', baseUrl),
+      recordingStatusCallbackMethod: 'POST',
+      transcribe: true,
+      transcribeCallback: absoluteUrl('/voice/voicemail/transcription', baseUrl),
+    });
+    twiml.hangup();
+    return res.type('text/xml').send(twiml.toString());
+  }
+
   twiml.hangup();
   res.type('text/xml').send(twiml.toString());
 
-  if (['busy', 'no-answer', 'failed'].includes(callStatus)) {
-    setStep(from, 'ask_name');
-    await upsertByPhone(from, { status: 'opened' });
-    await sendSMS(
-      from,
-      `Hey, it's ${BUSINESS}. Sorry we missed your call. What's your name? ` +
-      `Book anytime: ${CAL_LINK} — Reply STOP to stop, HELP for help.`,
-      {
-        source: 'missed_call_follow_up',
-        callStatus,
-      }
-    );
+  if (missed) {
+    try {
+      await sendMissedCallFollowUp(from, { callStatus, business });
+    } catch (error) {
+      // Opted-out callers and Twilio errors must not take the process down.
+      console.error('[Voice] Missed-call text-back failed', {
+        message: error?.message || error,
+        code: error?.code,
+        from: maskPhoneNumberForLog(from),
+      });
+    }
+  }
+});
+
+// <Record> action: fires when the caller finishes or hangs up. Empty or very
+// short recordings never get a transcription, so text back right away.
+app.post('/voice/voicemail/complete', async (req, res) => {
+  const VoiceResponse = require('twilio').twiml.VoiceResponse;
+  const twiml = new VoiceResponse();
+  twiml.hangup();
+  res.type('text/xml').send(twiml.toString());
+
+  const callSid = req.body.CallSid;
+  if (!callSid) return;
+  const duration = Number(req.body.RecordingDuration || 0);
+  try {
+    await updateVoicemail(callSid, {
+      recordingUrl: req.body.RecordingUrl || null,
+      recordingDuration: duration,
+      status: req.body.RecordingUrl ? 'recorded' : 'no_message',
+    });
+    if (!req.body.RecordingUrl || duration < VOICEMAIL_MIN_SECONDS) {
+      await completeVoicemailFollowUp(callSid);
+    }
+  } catch (error) {
+    console.error('[Voicemail] Record action failed', { message: error?.message || error, callSid });
+  }
+});
+
+app.post('/voice/voicemail/recording', async (req, res) => {
+  res.sendStatus(204);
+  const callSid = req.body.CallSid;
+  if (!callSid) return;
+  try {
+    const voicemail = await updateVoicemail(callSid, {
+      recordingSid: req.body.RecordingSid || null,
+      recordingUrl: req.body.RecordingUrl || null,
+      recordingDuration: Number(req.body.RecordingDuration || 0),
+      recordingStatus: req.body.RecordingStatus || null,
+    });
+    if (voicemail?.from && req.body.RecordingUrl) {
+      await setFields(voicemail.from, { voicemail_url: req.body.RecordingUrl });
+      safeUpsertLead(voicemail.from, { voicemail_url: req.body.RecordingUrl }, await resolveBusiness(voicemail.to));
+    }
+  } catch (error) {
+    console.error('[Voicemail] Recording callback failed', { message: error?.message || error, callSid });
+  }
+});
+
+app.post('/voice/voicemail/transcription', async (req, res) => {
+  res.sendStatus(204);
+  const callSid = req.body.CallSid;
+  if (!callSid) return;
+  try {
+    const transcript = req.body.TranscriptionStatus === 'completed' ? (req.body.TranscriptionText || '') : '';
+    const summary = await summarizeTranscript(transcript, { openai });
+    const voicemail = await updateVoicemail(callSid, {
+      status: transcript ? 'transcribed' : 'transcription_failed',
+      transcript,
+      summary,
+      ...(req.body.RecordingUrl ? { recordingUrl: req.body.RecordingUrl } : {}),
+    });
+    if (voicemail?.from && transcript) {
+      await setFields(voicemail.from, { voicemail_transcript: transcript, voicemail_summary: summary });
+      safeUpsertLead(voicemail.from, { voicemail_transcript: transcript }, await resolveBusiness(voicemail.to));
+    }
+    await completeVoicemailFollowUp(callSid);
+  } catch (error) {
+    console.error('[Voicemail] Transcription callback failed', { message: error?.message || error, callSid });
   }
 });
 
@@ -2506,56 +3274,362 @@ app.post('/api/admin/send-text', async (req, res) => {
 
     return res.json({ ok: true });
   } catch (error) {
+    if (error?.code === 'sms_opted_out') {
+      return res.status(409).json({ error: 'opted_out' });
+    }
     console.error('[Admin] Manual SMS failed', { message: error?.message || error });
     res.status(500).json({ error: 'sms_failed' });
   }
 });
 
 // ---------------------------------------------------------------------
-// Twilio SMS: name -> need -> Calendly link
+// Twilio SMS: qualification flow (data/sms-flows) -> booking / handoff
 // ---------------------------------------------------------------------
-app.post('/sms', async (req, res) => {
+const leadExtractor = createLeadExtractor(openai);
+const EXTRACTED_LEAD_FIELDS = ['name', 'need', 'urgency', 'address', 'preferred_time'];
+
+async function extractLeadFields(body, { flow, state, business }) {
+  const expect = flow.steps[state?.step]?.field || flow.steps[flow.start]?.field || '';
+  const extracted = await leadExtractor.extract(body, { expect, business: business.name });
+  const fields = {};
+  EXTRACTED_LEAD_FIELDS.forEach((key) => {
+    if (extracted[key]) fields[key] = extracted[key];
+  });
+  return fields;
+}
+
+function smsFlowVars(business = defaultBusiness(), extra = {}) {
+  return {
+    business: business.name,
+    bookingLink: business.bookingLink,
+    reviewLink: business.reviewLink,
+    ...extra,
+  };
+}
+
+function missedCallMessage(flow = loadFlow(), business = defaultBusiness()) {
+  const template = businessTemplate(business, 'missedCall', flow.missedCallMessage || flow.steps[flow.start].prompt, flow.locale);
+  return renderTemplate(template, smsFlowVars(business));
+}
+
+// Conversations are per phone; texting a different business number starts over.
+async function startConversation(phone, { flow, business }) {
+  const existing = await getState(phone);
+  if (existing?.business && existing.business !== business.id) {
+    await resetConversation(phone);
+  }
+  await setFields(phone, {
+    flow: flow.id,
+    step: flow.start,
+    business: business.id,
+    missedCallAt: new Date().toISOString(),
+    ...(flow.locale ? { locale: flow.locale } : {}),
+  });
+}
+
+function createSmsFlowActions({ phone, req, business }) {
+  return {
+    send_booking_link: async () => ({ bookingLink: business.bookingLink }),
+    handoff: async ({ flow, stepId, fields }) => {
+      const details = Object.entries(fields)
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('\n');
+      const delivered = await sendTelegramAlert(
+        `📲 SMS lead needs a human (${business.name})\nPhone: ${phone}\nFlow: ${flow.id} → ${stepId}${details ? `\n${details}` : ''}`
+      );
+      await pauseThread(phone, { by: 'sms_flow', reason: 'flow_handoff' });
+      return { notified: delivered };
+    },
+    checkout_link: async ({ flow, stepId, step }) => {
+      if (!hasStripeSecret) {
+        return { vars: { checkoutLink: business.bookingLink }, url: null, skipped: 'stripe_not_configured' };
+      }
+      const baseUrl = resolveAppBaseUrl(req);
+      const session = await stripe.checkout.sessions.create({
+        mode: 'payment',
+        line_items: [{
+          price_data: {
+            currency: step.checkout.currency || 'usd',
+            unit_amount: Number(step.checkout.amountCents),
+            product_data: { name: step.checkout.name || `${business.name} deposit` },
+          },
+          quantity: 1,
+        }],
+        success_url: `${baseUrl}/thank-you`,
+        cancel_url: `${baseUrl}/`,
+        metadata: {
+          productLine: 'sms-flow',
+          flow: flow.id,
+          step: stepId,
+          phone,
+          business: business.id,
+        },
+      });
+      return { vars: { checkoutLink: session.url }, url: session.url, sessionId: session.id };
+    },
+  };
+}
+
+// Book step: "Tuesday 3pm" → offer the nearest open slots, "2" → confirm one.
+async function handleBookingReply({ phone, body, state, business, locale = DEFAULT_LOCALE }) {
+  const offered = Array.isArray(state?.proposedSlots) ? state.proposedSlots : [];
+  const picked = pickOfferedSlot(body, offered);
+  const text = (key, vars = {}) => renderTemplate(localeText(locale, `booking.${key}`), vars);
+  const slotLabel = slot => formatSlot(slot, { locale, format: localeText(locale, 'slotFormat') });
+
+  if (picked) {
+    try {
+      await bookSlot(phone, picked, {
+        business: business.id,
+        details: { name: state?.name || '', need: state?.need || '' },
+      });
+      return {
+        messages: [text('confirmed', { slot: slotLabel(picked) })],
+        stateFields: { proposedSlots: null, appt_start: picked.start, appt_end: picked.end },
+        leadPatch: { status: 'booked', appt_start: picked.start, appt_end: picked.end },
+      };
+    } catch (error) {
+      if (error?.code !== 'slot_taken') throw error;
+      // Someone else grabbed it — offer whatever is closest to the slot they picked.
+      body = formatSlot(picked);
+    }
+  }
+
+  const proposal = await proposeSlots(body, { business: business.id });
+  if (proposal) {
+    if (!proposal.slots.length) {
+      return {
+        messages: [text('noOpenings', { bookingLink: business.bookingLink })],
+        stateFields: { proposedSlots: null },
+        leadPatch: { status: 'awaiting_booking' },
+      };
+    }
+    const intro = proposal.exactMatch
+      ? text('exactMatch')
+      : (picked ? text('slotTaken') : text('closest'));
+    const options = proposal.slots.map((slot, index) => `${index + 1}) ${slotLabel(slot)}`);
+    const choices = proposal.slots.map((_, index) => index + 1).join(', ').replace(/, (\d)$/, ` ${text('or')} $1`);
+    return {
+      messages: [`${intro}\n${options.join('\n')}\n${text('choose', { choices })}`],
+      stateFields: { proposedSlots: proposal.slots },
+      leadPatch: { status: 'awaiting_booking' },
+    };
+  }
+
+  if (state?.appt_start) {
+    return {
+      messages: [text('alreadyBooked', { slot: slotLabel({ start: state.appt_start }) })],
+      stateFields: {},
+      leadPatch: {},
+    };
+  }
+
+  return null;
+}
+
+// Lead statuses that mean the flow collected enough to count as qualified.
+const QUALIFIED_STATUSES = ['qualified', 'awaiting_booking', 'booked'];
+
+// Inbox writes never block the reply to the lead.
+async function safeRecordInbox(entry) {
+  try {
+    await recordInboxMessage(entry);
+  } catch (error) {
+    console.error('[Inbox] Failed to record message', error?.message || error);
+  }
+}
+
+async function handleInboundSms(req, res) {
   const MessagingResponse = require('twilio').twiml.MessagingResponse;
   const twiml = new MessagingResponse();
+  // TwiML replies never go through sendSMS, so the inbox records them here.
+  const replies = [];
+  const reply = (text) => {
+    replies.push(text);
+    twiml.message(text);
+  };
 
   const from = req.body.From;
   const body = (req.body.Body || '').trim();
-  const s = getState(from);
+  const business = await resolveBusiness(req.body.To);
+  let s = await getState(from);
+  if (s?.business && s.business !== business.id) {
+    await resetConversation(from);
+    s = null;
+  }
+  await markInbound(from);
+  await safeRecordInbox({ phone: from, direction: 'inbound', body, sid: req.body.MessageSid || null, business: business.id, source: 'sms_inbound' });
+  const keyword = classifyKeyword(body);
+  await safeStopNudges(from, { business, reason: keyword?.type === 'opt_out' ? 'opted_out' : 'replied' });
+  // The first reply after a missed-call text counts toward the reply rate.
+  if (s?.missedCallAt && keyword?.type !== 'opt_out') {
+    await safeRecordRecovery('replied', { key: `${from}:${s.missedCallAt}`, phone: from, business });
+  }
 
-  if (/^help$/i.test(body)) {
-    twiml.message(`Reply STOP to opt-out. To book directly: ${CAL_LINK}`);
+  // Language: an explicit ESPAÑOL / ENGLISH switch, otherwise detected once on
+  // the first reply and kept on the conversation and the lead record.
+  const switchTo = localeKeyword(body);
+  const detected = switchTo || (s?.localeChecked ? null : detectLocale(body));
+  const locale = detected || (s?.locale ? normalizeLocale(s.locale) : await knownLocale(from, business));
+  if (detected || !s?.localeChecked) {
+    await setFields(from, { locale, localeChecked: true });
+  }
+  if (detected && detected !== s?.locale) {
+    safeUpsertLead(from, { locale }, business);
+  }
+  const flow = localizeFlow(loadFlow(s?.flow || business.smsFlow), locale);
+  const localized = (key, fallback = localeText(locale, key)) => renderTemplate(
+    businessTemplate(business, key, fallback, locale),
+    smsFlowVars(business)
+  );
+  res.on('finish', () => {
+    markOutbound(from).catch((error) => {
+      console.warn('[SMS] Failed to record outbound reply', error?.message || error);
+    });
+    replies.forEach((text) => {
+      safeRecordInbox({ phone: from, direction: 'outbound', body: text, business: business.id, source: 'sms_reply' });
+    });
+  });
+
+  if (keyword?.type === 'help') {
+    reply(localized('help', flow.helpMessage));
     return res.type('text/xml').send(twiml.toString());
   }
 
-  if (!s || !s.step) {
-    setStep(from, 'ask_name');
-    await upsertByPhone(from, { status: 'opened' });
-    twiml.message(`Hey, it's ${BUSINESS}. What's your name?`);
+  if (keyword?.type === 'opt_out') {
+    await recordOptOut(from, { keyword: keyword.keyword, source: 'sms_inbound' });
+    safeUpsertLead(from, { status: 'opted_out' }, business);
+    reply(localized('optOut'));
     return res.type('text/xml').send(twiml.toString());
   }
 
-  if (s.step === 'ask_name') {
-    setField(from, 'name', body);
-    setStep(from, 'ask_need');
-    await upsertByPhone(from, { name: body, status: 'qualified' });
-    twiml.message(`Nice to meet you, ${body}. What can we help you with?`);
+  if (keyword?.type === 'opt_in') {
+    await recordOptIn(from, { keyword: keyword.keyword, source: 'sms_inbound' });
+    reply(localized('optIn'));
     return res.type('text/xml').send(twiml.toString());
   }
 
-  if (s.step === 'ask_need') {
-    setField(from, 'need', body);
-    setStep(from, 'book');
-    await upsertByPhone(from, { need: body, status: 'qualified' });
-    twiml.message(
-      `Got it. You can book here: ${CAL_LINK}\n` +
-      `If you prefer, reply with a preferred day/time and we’ll confirm by text.`
+  // Opted-out numbers only get answers to HELP and START (above).
+  if (await isOptedOut(from)) {
+    return res.type('text/xml').send(twiml.toString());
+  }
+
+  if (isTakeoverRequest(body)) {
+    await pauseThread(from, { by: 'lead', reason: 'keyword' });
+    await sendTelegramAlert(
+      `🙋 SMS lead asked for a person (${business.name})\nPhone: ${from}${s?.name ? `\nName: ${s.name}` : ''}\nMessage: ${body}\nBot paused — reply from the inbox.`
     );
+    reply(localized('takeover'));
+    return res.type('text/xml').send(twiml.toString());
+  }
+
+  // An operator has the thread: record the message (above) but don't auto-reply.
+  if (await isPaused(from)) {
+    return res.type('text/xml').send(twiml.toString());
+  }
+
+  // Confirm the switch and repeat the current question in the new language.
+  if (switchTo) {
+    reply(localeText(locale, 'languageSwitched'));
+    const step = flow.steps[s?.step];
+    if (step?.prompt && !step.action) {
+      reply(renderTemplate(step.prompt, { ...smsFlowVars(business), ...collectedFields(flow, s) }).trim());
+    }
     return res.type('text/xml').send(twiml.toString());
   }
 
-  await upsertByPhone(from, { status: 'awaiting_booking' });
-  twiml.message(`Thanks! We’ll confirm shortly. You can also self-book anytime: ${CAL_LINK}`);
+  try {
+    if (flow.steps[s?.step]?.action === 'send_booking_link') {
+      const booking = await handleBookingReply({ phone: from, body, state: s, business, locale });
+      if (booking) {
+        await setFields(from, booking.stateFields);
+        booking.messages.forEach(message => reply(message));
+        if (Object.keys(booking.leadPatch).length) {
+          safeUpsertLead(from, booking.leadPatch, business);
+        }
+        if (booking.leadPatch.status === 'booked') {
+          await safeStopNudges(from, { business, reason: 'booked' });
+          await safeRecordRecovery('booked', { key: `${from}:${booking.leadPatch.appt_start}`, phone: from, business, source: 'sms' });
+        }
+        return res.type('text/xml').send(twiml.toString());
+      }
+    }
+
+    const extracted = await extractLeadFields(body, { flow, state: s, business });
+    const options = {
+      vars: smsFlowVars(business),
+      actions: createSmsFlowActions({ phone: from, req, business }),
+      prefill: extracted,
+    };
+    const result = s?.step
+      ? await advanceFlow(flow, { step: s.step, fields: collectedFields(flow, s) }, body, options)
+      : await startFlow(flow, options);
+
+    // Details the flow didn't ask for (address, urgency, preferred time…) are
+    // still kept, without overwriting anything the lead already told us.
+    const extras = {};
+    Object.entries(extracted).forEach(([key, value]) => {
+      if (result.fields[key] === undefined && (s?.[key] === undefined || s?.[key] === null)) {
+        extras[key] = value;
+      }
+    });
+
+    await setFields(from, { flow: flow.id, step: result.step, business: business.id, ...extras, ...result.fields });
+    result.messages.forEach(message => reply(message));
+    const leadPatch = { ...extras, ...result.leadPatch };
+    if (Object.keys(leadPatch).length) {
+      safeUpsertLead(from, leadPatch, business);
+    }
+    if (QUALIFIED_STATUSES.includes(leadPatch.status)) {
+      await safeRecordRecovery('qualified', { key: `${from}:${s?.missedCallAt || 'sms'}`, phone: from, business });
+    }
+  } catch (error) {
+    console.error('[SMS] Flow error', {
+      message: error?.message || error,
+      code: error?.code,
+      from: maskPhoneNumberForLog(from),
+    });
+    reply(localized('fallback'));
+  }
+
   return res.type('text/xml').send(twiml.toString());
+}
+
+// Twilio gets an empty TwiML response even when the state store, the opt-out
+// registry or an alert fails, so an outage never surfaces as a webhook error.
+app.post('/sms', async (req, res) => {
+  try {
+    await handleInboundSms(req, res);
+  } catch (error) {
+    console.error('[SMS] Inbound handler error', {
+      message: error?.message || error,
+      code: error?.code,
+      from: maskPhoneNumberForLog(req.body.From),
+    });
+    if (!res.headersSent) {
+      const MessagingResponse = require('twilio').twiml.MessagingResponse;
+      res.type('text/xml').send(new MessagingResponse().toString());
+    }
+  }
+});
+
+// Twilio StatusCallback for every outbound SMS (see services/messageLedger).
+app.post('/sms/status', async (req, res) => {
+  res.sendStatus(204);
+  const sid = req.body.MessageSid || req.body.SmsSid;
+  if (!sid) return;
+  try {
+    const entry = await updateMessageStatus(sid, {
+      status: req.body.MessageStatus || req.body.SmsStatus,
+      errorCode: req.body.ErrorCode || null,
+      errorMessage: req.body.ErrorMessage || null,
+    });
+    if (entry?.retryAt) {
+      console.info('[SMS] Transient failure, retry scheduled', { sid, errorCode: entry.errorCode, retryAt: entry.retryAt });
+    }
+  } catch (error) {
+    console.error('[SMS] Status callback failed', { message: error?.message || error, sid });
+  }
 });
 
 // ---------------------------------------------------------------------
@@ -2567,24 +3641,39 @@ app.post('/calendly/webhook', async (req, res) => {
     const payload = req.body?.payload;
     if (!event || !payload) return res.status(400).json({ ok: false });
 
+    const phone = payload?.invitee?.text_reminder_number || '';
+    // Per-business webhooks subscribe with ?business=<id>; otherwise use the
+    // business the lead was last texting.
+    const business = req.query.business
+      ? await findBusiness(req.query.business)
+      : await findBusiness(phone ? (await getState(phone))?.business : '');
+    const leads = getLeadRepository(business);
+
     if (event === 'invitee.created') {
-      const phone = payload?.invitee?.text_reminder_number || '';
       const start = payload?.event?.start_time;
       const end = payload?.event?.end_time;
       const ev = payload?.event?.uri || '';
       if (phone) {
-        await upsertByPhone(phone, {
+        await leads.upsertByPhone(phone, {
           status: 'booked',
           appt_start: start || '',
           appt_end: end || '',
           calendly_event: ev || ''
         });
+        await safeStopNudges(phone, { business, reason: 'booked' });
+      }
+      if (ev || phone) {
+        await safeRecordRecovery('booked', {
+          key: ev || `${phone}:${start}`,
+          phone: phone || null,
+          business,
+          source: 'calendly',
+        });
       }
     }
 
     if (event === 'invitee.canceled') {
-      const phone = payload?.invitee?.text_reminder_number || '';
-      if (phone) await upsertByPhone(phone, { status: 'canceled' });
+      if (phone) await leads.upsertByPhone(phone, { status: 'canceled' });
     }
 
     return res.json({ ok: true });
@@ -2597,35 +3686,62 @@ app.post('/calendly/webhook', async (req, res) => {
 // ---------------------------------------------------------------------
 // Review request cron (every 5m, 2h after appt_end)
 // ---------------------------------------------------------------------
-cron.schedule('*/5 * * * *', async () => {
-  try {
-    if (!REVIEW_LINK) return;
-    const rows = await findAll();
-    const header = rows[0] || [];
-    const idx = (name) => header.indexOf(name);
+// Each lead store is processed once, under the business that owns it;
+// registry entries that share the default store (e.g. no sheetId of their
+// own) are covered by the default business.
+async function reviewTargets() {
+  const targets = new Map();
+  const fallback = defaultBusiness();
+  targets.set(getLeadRepository(fallback).key, fallback);
+  for (const entry of await listBusinesses()) {
+    const business = await findBusiness(entry.number);
+    const { key } = getLeadRepository(business);
+    if (!targets.has(key)) targets.set(key, business);
+  }
+  return [...targets.values()];
+}
 
-    const now = dayjs();
+async function sendDueReviewRequests(business, { now = dayjs(), only = '' } = {}) {
+  const leads = getLeadRepository(business);
 
-    for (let i = 1; i < rows.length; i++) {
-      const r = rows[i];
-      const phone = r[idx('phone')];
-      const status = r[idx('status')];
-      const apptEnd = r[idx('appt_end')];
-      if (!phone || !apptEnd) continue;
+  for (const lead of await leads.findAll({ status: 'booked' })) {
+    const { phone, appt_end: apptEnd } = lead;
+    if (!phone || !apptEnd || (only && phone !== only)) continue;
 
-      const due = now.isAfter(dayjs(apptEnd).add(2, 'hour'));
-      const alreadySent = status && status.includes('review_sent');
+    const due = now.isAfter(dayjs(apptEnd).add(2, 'hour'));
 
-      if (status === 'booked' && due && !alreadySent) {
+    if (due) {
+      try {
+        const locale = normalizeLocale(lead.locale);
+        const template = businessTemplate(business, 'review', localeText(locale, 'review'), locale);
         await sendSMS(
           phone,
-          `Thanks for visiting ${BUSINESS}! Mind leaving a quick review? ${REVIEW_LINK}`,
+          renderTemplate(template, smsFlowVars(business)),
           {
             source: 'review_request_cron',
             apptEnd,
-          }
+            business: business.id,
+          },
+          businessSmsOptions(business)
         );
-        await upsertByPhone(phone, { status: 'review_sent' });
+        await leads.upsertByPhone(phone, { status: 'review_sent' });
+        await safeRecordRecovery('review_requested', { key: `${phone}:${apptEnd}`, phone, business });
+      } catch (error) {
+        if (error?.code !== 'sms_opted_out') throw error;
+        await leads.upsertByPhone(phone, { status: 'opted_out' });
+      }
+    }
+  }
+}
+
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    for (const business of await reviewTargets()) {
+      if (!business.reviewLink) continue;
+      try {
+        await sendDueReviewRequests(business);
+      } catch (e) {
+        console.error('Review cron error:', { business: business.id, message: e.message });
       }
     }
   } catch (e) {
@@ -2633,6 +3749,79 @@ cron.schedule('*/5 * * * *', async () => {
   }
 });
 
+// ---------------------------------------------------------------------
+// Voicemail follow-ups whose transcription never arrived (every minute)
+// ---------------------------------------------------------------------
+cron.schedule('* * * * *', async () => {
+  if (!VOICEMAIL_ENABLED) return;
+  try {
+    const stale = await listStaleVoicemails(VOICEMAIL_TRANSCRIPT_WAIT_MS);
+    for (const voicemail of stale) {
+      await completeVoicemailFollowUp(voicemail.callSid);
+    }
+  } catch (e) {
+    console.error('Voicemail sweep error:', e.message);
+  }
+});
+
+// ---------------------------------------------------------------------
+// Retry transiently failed SMS (every minute)
+// ---------------------------------------------------------------------
+cron.schedule('* * * * *', async () => {
+  try {
+    const retried = await retryDueMessages({ send: sendSMS });
+    if (retried) console.info('[SMS] Retried failed messages', { retried });
+  } catch (e) {
+    console.error('SMS retry sweep error:', e.message);
+  }
+});
+
+// ---------------------------------------------------------------------
+// No-reply nudges after the missed-call text (every minute)
+// ---------------------------------------------------------------------
+async function sendNudge(drip, step) {
+  const business = await findBusiness(drip.business);
+  const state = await getState(drip.phone);
+  const message = await sendSMS(
+    drip.phone,
+    renderTemplate(step.message, smsFlowVars(business, { name: state?.name || '' })),
+    {
+      source: 'missed_call_nudge',
+      campaign: `nudge:${step.id}`,
+      business: business.id,
+    },
+    businessSmsOptions(business)
+  );
+  await markOutbound(drip.phone);
+  return message;
+}
+
+cron.schedule('* * * * *', async () => {
+  try {
+    const sent = await sendDueNudges({ send: sendNudge, isPaused });
+    if (sent) console.info('[Nudges] Sent no-reply nudges', { sent });
+  } catch (e) {
+    console.error('Nudge sweep error:', e.message);
+  }
+});
+
+// ---------------------------------------------------------------------
+// SMS conversation cleanup (hourly; Mongo also expires via TTL index)
+// ---------------------------------------------------------------------
+cron.schedule('17 * * * *', async () => {
+  try {
+    const removed = await purgeExpiredConversations();
+    if (removed) console.info('[SMS] Purged expired conversations', { removed });
+  } catch (e) {
+    console.error('Conversation purge error:', e.message);
+  }
+});
+
+// Google Sheets quota usage (requests in the last minute, 429s, cache hit rate).
+app.get('/api/admin/sheets/metrics', requireAdminSecret, (req, res) => {
+  res.json({ ok: true, metrics: getSheetsMetrics() });
+});
+
 // Simple health check (optional)
 app.get('/api/health', async (req, res) => {
   try {
@@ -3324,6 +4513,7 @@ app.post('/api/csv-files/launch-call', async (req, res) => {
           script: scriptLines.join('\n'),
           voice: callConfig?.voice || 'warm',
           handoffNumber: callConfig?.handoffNumber || '',
+          runId,
           appBaseUrl,
         });
         queued += 1;
@@ -3460,6 +4650,7 @@ app.post('/api/csv-files/send-sms', async (req, res) => {
 
     const results = [];
     let sent = 0;
+    let optedOut = 0;
 
     for (const lead of selectedLeads) {
       const greeting = lead.firstName
@@ -3492,6 +4683,7 @@ app.post('/api/csv-files/send-sms', async (req, res) => {
         await sendSMS(lead.phone, finalMessage, {
           source: 'admin_csv_sms',
           dataset: datasetName,
+          campaign: runId || datasetName,
         });
         sent += 1;
         const result = {
@@ -3510,6 +4702,9 @@ app.post('/api/csv-files/send-sms', async (req, res) => {
           });
         }
       } catch (error) {
+        if (error?.code === 'sms_opted_out') {
+          optedOut += 1;
+        }
         const failure = {
           ok: false,
           error: {
@@ -3561,6 +4756,7 @@ app.post('/api/csv-files/send-sms', async (req, res) => {
       attempted,
       sent,
       failed: failedCount,
+      optedOut,
       totalLeads: dataset.leads.length,
       skippedRows: dataset.skipped.length + Math.max(dataset.leads.length - selectedLeads.length, 0),
       limit: CSV_AUTOMATION_MAX_LEADS,
@@ -3624,29 +4820,86 @@ app.post('/api/deal/checkout/stripe', async (req, res) => {
 });
 
 
+// Dev: replay a scripted conversation (missed call, replies, Calendly events,
+// time passing) through the real webhooks; see services/conversationSimulator.
+app.post('/simulate/scenario', requireAdminSecret, async (req, res) => {
+  if (twilioTransport !== 'outbox') {
+    return res.status(409).json({ error: 'outbox_required' });
+  }
+  try {
+    const to = req.body?.to || process.env.TWILIO_NUMBER || '';
+    const business = await resolveBusiness(to);
+    const result = await runScenario({ ...req.body, to }, {
+      baseUrl: `http://127.0.0.1:${req.socket.localPort}`,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      to,
+      resetPhone: async (phone) => {
+        await resetConversation(phone);
+        await resumeThread(phone, { by: 'simulator' });
+      },
+      getMessages: async phone => (await getThread(phone))?.messages || [],
+      findLead: async (phone) => {
+        await leadWritesSettled(phone);
+        return getLeadRepository(business).findByPhone(phone);
+      },
+      getConversation: async (phone) => {
+        const state = await getState(phone);
+        if (!state) return null;
+        const { _id, ...conversation } = state;
+        return conversation;
+      },
+      runDueJobs: async ({ phone, now }) => {
+        const nudges = await sendDueNudges({ send: sendNudge, isPaused, now: now.valueOf(), phone });
+        if (business.reviewLink) await sendDueReviewRequests(business, { now, only: phone });
+        return { nudges };
+      },
+    });
+    res.json({ ok: !result.error, business: business.id, ...result });
+  } catch (error) {
+    if (error instanceof ScenarioError) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
+    }
+    console.error('[Simulator] Scenario failed', error?.message || error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
 // Dev: simulate a missed call
 app.get('/simulate/missed-call', async (req, res) => {
   const from = req.query.from;
   if (!from) return res.status(400).json({ ok: false, error: 'from required' });
 
-  setStep(from, 'ask_name');
-  await upsertByPhone(from, { status: 'opened' });
-  await sendSMS(
-    from,
-    `Hey, it's ${BUSINESS}. Sorry we missed your call. What's your name? ` +
-    `Book anytime: ${CAL_LINK} — Reply STOP to stop, HELP for help.`,
-    {
-      source: 'simulate_missed_call',
-    }
-  );
+  try {
+    const business = await resolveBusiness(req.query.to);
+    const flow = loadFlow(req.query.flow || business.smsFlow);
+    await startConversation(from, { flow, business });
+    await getLeadRepository(business).upsertByPhone(from, { status: 'opened' });
+    await sendSMS(
+      from,
+      missedCallMessage(flow, business),
+      {
+        source: 'simulate_missed_call',
+        business: business.id,
+      },
+      businessSmsOptions(business)
+    );
+    await markOutbound(from);
 
-  res.json({ ok: true });
+    res.json({ ok: true });
+  } catch (error) {
+    if (error?.code === 'sms_opted_out') {
+      return res.status(409).json({ ok: false, error: 'opted_out' });
+    }
+    console.error('[Simulate] Missed-call simulation failed', error?.message || error);
+    res.status(500).json({ ok: false, error: 'sms_failed' });
+  }
 });
 
 // Boot
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, async () => {
   console.log(`Missed-Call Money Saver running on :${PORT}`);
+  console.log(`Lead store: ${defaultLeadStore()}`);
 
   if (process.env.CALENDLY_TOKEN && process.env.APP_BASE_URL) {
     const cb = `${process.env.APP_BASE_URL}/calendly/webhook`;
@@ -0,0 +1,17 @@
+// Shared-secret guard for operator APIs (same header convention as /api/audit).
+function resolveAdminSecret() {
+  return process.env.ADMIN_API_SECRET || process.env.ADMIN_AUDIT_SECRET || '';
+}
+
+function requireAdminSecret(req, res, next) {
+  const secret = resolveAdminSecret();
+  const provided = req.headers['x-admin-secret'] || req.query.secret || '';
+  if (!secret || provided !== secret) {
+    return res.status(403).json({ error: 'forbidden' });
+  }
+  return next();
+}
+
+module.exports = {
+  requireAdminSecret,
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Cold-caller state rides in the Gather/Redirect URLs between the
+// /voice/cold-caller/* hops. Tokens are `<payload>.<hmac>` with an expiry, so a
+// rewritten query string (say, a different handoffNumber) is refused rather
+// than dialed. The payload is only signed, not encrypted.
+const TTL_MS = Math.max(1, Number(process.env.COLD_CALLER_STATE_TTL_MINUTES || '30')) * 60 * 1000;
+
+let processSecret = null;
+
+function stateSecret() {
+  const configured = process.env.COLD_CALLER_STATE_SECRET || process.env.TWILIO_AUTH_TOKEN;
+  if (configured) return configured;
+  if (!processSecret) {
+    processSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('[ColdCaller] COLD_CALLER_STATE_SECRET is not set; call state is signed with a per-process key');
+  }
+  return processSecret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', stateSecret()).update(payload).digest('base64url');
+}
+
+function signCallState(state, { now = Date.now(), ttlMs = TTL_MS } = {}) {
+  const payload = Buffer.from(JSON.stringify({ state: state || {}, exp: now + ttlMs }), 'utf8').toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns { ok, state, reason }; reason is missing, malformed,
+// invalid_signature or expired.
+function verifyCallState(token, { now = Date.now() } = {}) {
+  if (!token) return { ok: false, state: null, reason: 'missing' };
+  const [payload, signature, extra] = String(token).split('.');
+  if (!payload || !signature || extra !== undefined) return { ok: false, state: null, reason: 'malformed' };
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { ok: false, state: null, reason: 'invalid_signature' };
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { ok: false, state: null, reason: 'malformed' };
+  }
+  const state = decoded?.state && typeof decoded.state === 'object' ? decoded.state : {};
+  if (!Number.isFinite(decoded?.exp) || decoded.exp <= now) {
+    return { ok: false, state, reason: 'expired' };
+  }
+  return { ok: true, state, reason: null };
+}
+
+// verifyCallState plus the check that the token was minted for this call;
+// reason can also be call_mismatch. The webhook's CallSid wins on success.
+function checkCallState(token, callSid, options = {}) {
+  const result = verifyCallState(token, options);
+  if (!result.ok) return result;
+  if (result.state.callSid && result.state.callSid !== callSid) {
+    return { ok: false, state: result.state, reason: 'call_mismatch' };
+  }
+  return { ok: true, state: callSid ? { ...result.state, callSid } : result.state, reason: null };
+}
+
+module.exports = {
+  signCallState,
+  verifyCallState,
+  checkCallState,
+};
@@ -1,24 +1,112 @@
-// In-memory conversation state: { [phone]: { step, name, need } }
-const state = new Map();
+const { getCollection } = require('../services/mongo');
 
-function setStep(phone, step) {
-  const s = state.get(phone) || {};
-  s.step = step;
-  state.set(phone, s);
+// Durable SMS conversation state: { phone, step, name, need, ... }
+// Backed by Mongo when configured, otherwise by the JSON file fallback.
+const COLLECTION = 'sms_conversations';
+const TTL_HOURS = Math.max(1, Number(process.env.SMS_CONVERSATION_TTL_HOURS || '72'));
+
+let indexPromise = null;
+
+function expiryFrom(now = Date.now()) {
+  return new Date(now + TTL_HOURS * 60 * 60 * 1000);
+}
+
+function isExpired(doc, now = Date.now()) {
+  if (!doc?.expiresAt) return false;
+  return new Date(doc.expiresAt).getTime() <= now;
+}
+
+async function ensureIndexes(collection) {
+  if (typeof collection.createIndex !== 'function') return;
+  if (!indexPromise) {
+    indexPromise = Promise.all([
+      collection.createIndex({ phone: 1 }, { unique: true }),
+      collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+    ]).catch((error) => {
+      indexPromise = null;
+      console.warn('[leadStore] Failed to ensure indexes', error?.message || error);
+    });
+  }
+  await indexPromise;
+}
+
+async function conversations() {
+  const collection = await getCollection(COLLECTION);
+  await ensureIndexes(collection);
+  return collection;
+}
+
+async function patch(phone, fields = {}) {
+  if (!phone) return null;
+  const collection = await conversations();
+  const now = new Date();
+  await collection.updateOne(
+    { phone },
+    {
+      $set: {
+        ...fields,
+        updatedAt: now.toISOString(),
+        expiresAt: expiryFrom(now.getTime()),
+      },
+      $setOnInsert: { createdAt: now.toISOString() },
+    },
+    { upsert: true },
+  );
+  return fields;
+}
+
+async function setStep(phone, step) {
+  await patch(phone, { step });
+}
+
+async function setField(phone, key, val) {
+  await patch(phone, { [key]: val });
+}
+
+async function setFields(phone, fields = {}) {
+  await patch(phone, fields);
+}
+
+async function get(phone) {
+  if (!phone) return null;
+  const collection = await conversations();
+  const doc = await collection.findOne({ phone });
+  if (!doc) return null;
+  // Mongo's TTL monitor only runs once a minute and the file fallback has none.
+  if (isExpired(doc)) {
+    await collection.deleteOne({ phone });
+    return null;
+  }
+  return doc;
+}
+
+async function reset(phone) {
+  if (!phone) return;
+  const collection = await conversations();
+  await collection.deleteOne({ phone });
 }
 
-function setField(phone, key, val) {
-  const s = state.get(phone) || {};
-  s[key] = val;
-  state.set(phone, s);
+async function markInbound(phone, at = new Date()) {
+  await patch(phone, { lastInboundAt: at.toISOString() });
 }
 
-function get(phone) {
-  return state.get(phone) || null;
+async function markOutbound(phone, at = new Date()) {
+  await patch(phone, { lastOutboundAt: at.toISOString() });
 }
 
-function reset(phone) {
-  state.delete(phone);
+async function purgeExpired() {
+  const collection = await conversations();
+  const result = await collection.deleteMany({ expiresAt: { $lte: new Date() } });
+  return result?.deletedCount || 0;
 }
 
-module.exports = { setStep, setField, get, reset };
+module.exports = {
+  setStep,
+  setField,
+  setFields,
+  get,
+  reset,
+  markInbound,
+  markOutbound,
+  purgeExpired,
+};
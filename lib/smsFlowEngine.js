@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+
+// Declarative SMS qualification flows. A flow is a JSON file in data/sms-flows:
+// {
+//   id, start, missedCallMessage, helpMessage,
+//   steps: {
+//     [stepId]: {
+//       prompt,                     // sent when the step is entered ({{var}} templating)
+//       field,                      // where the answer is stored on the lead
+//       validate: { type, ... },    // text | choice | yesno | number | email | zip | regex
+//       error,                      // re-prompt when validation fails
+//       leadStatus,                 // lead status written with the answer (terminal: on entry)
+//       next,                       // stepId or [{ if: { field?, equals|in|matches }, goto }]
+//       action,                     // terminal: send_booking_link | handoff | checkout_link
+//     }
+//   },
+//   complete: { message, leadStatus } // replies after a terminal step was reached
+// }
+const FLOWS_DIR = path.join(__dirname, '..', 'data', 'sms-flows');
+const DEFAULT_FLOW_ID = process.env.SMS_FLOW || 'default';
+const TERMINAL_ACTIONS = new Set(['send_booking_link', 'handoff', 'checkout_link']);
+const VALIDATION_TYPES = new Set(['text', 'choice', 'yesno', 'number', 'email', 'zip', 'regex']);
+
+const flowCache = new Map();
+
+function createFlowError(code, message) {
+  const error = new Error(message || code);
+  error.code = code;
+  return error;
+}
+
+function normalizeAnswer(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function renderTemplate(template, vars = {}) {
+  return String(template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+    const value = vars[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+function listTransitions(next) {
+  if (!next) return [];
+  if (typeof next === 'string') return [{ goto: next }];
+  return Array.isArray(next) ? next : [];
+}
+
+function validateFlow(flow) {
+  const problems = [];
+  if (!flow || typeof flow !== 'object') {
+    throw createFlowError('invalid_flow', 'Flow definition must be an object');
+  }
+  if (!flow.id) problems.push('missing id');
+  const steps = flow.steps && typeof flow.steps === 'object' ? flow.steps : null;
+  if (!steps) problems.push('missing steps');
+  if (!flow.start || !steps?.[flow.start]) problems.push(`start step "${flow.start}" not defined`);
+
+  Object.entries(steps || {}).forEach(([stepId, step]) => {
+    if (step.action && !TERMINAL_ACTIONS.has(step.action)) {
+      problems.push(`${stepId}: unknown action "${step.action}"`);
+    }
+    if (!step.action && !step.field) {
+      problems.push(`${stepId}: non-terminal steps need a field`);
+    }
+    if (!step.action && !listTransitions(step.next).length) {
+      problems.push(`${stepId}: non-terminal steps need next`);
+    }
+    if (step.validate && !VALIDATION_TYPES.has(step.validate.type)) {
+      problems.push(`${stepId}: unknown validation type "${step.validate.type}"`);
+    }
+    if (step.validate?.type === 'choice' && !Array.isArray(step.validate.options)) {
+      problems.push(`${stepId}: choice validation needs options`);
+    }
+    if (step.action === 'checkout_link' && !Number(step.checkout?.amountCents)) {
+      problems.push(`${stepId}: checkout_link needs checkout.amountCents`);
+    }
+    listTransitions(step.next).forEach(({ goto }) => {
+      if (!steps[goto]) problems.push(`${stepId}: next step "${goto}" not defined`);
+    });
+  });
+
+  if (flow.nudges !== undefined) {
+    const nudgeSteps = Array.isArray(flow.nudges?.steps) ? flow.nudges.steps : null;
+    if (!nudgeSteps) problems.push('nudges need a steps array');
+    (nudgeSteps || []).forEach((nudge, index) => {
+      if (!/^\d+\s*[mhd]$/i.test(String(nudge?.after || '').trim())) {
+        problems.push(`nudge ${index + 1}: after must look like "30m", "1h" or "3d"`);
+      }
+      if (!nudge?.message) problems.push(`nudge ${index + 1}: missing message`);
+    });
+  }
+
+  if (problems.length) {
+    const error = createFlowError('invalid_flow', `Invalid SMS flow "${flow.id || 'unknown'}": ${problems.join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+  return flow;
+}
+
+function loadFlow(flowId = DEFAULT_FLOW_ID) {
+  const id = String(flowId || DEFAULT_FLOW_ID).replace(/[^a-z0-9_-]/gi, '');
+  if (flowCache.has(id)) return flowCache.get(id);
+
+  const file = path.join(FLOWS_DIR, `${id}.json`);
+  if (!fs.existsSync(file)) {
+    if (id !== DEFAULT_FLOW_ID) {
+      console.warn('[SMSFlow] Unknown flow, using default', { flowId: id });
+      return loadFlow(DEFAULT_FLOW_ID);
+    }
+    throw createFlowError('flow_not_found', `SMS flow "${id}" not found`);
+  }
+
+  const flow = validateFlow(JSON.parse(fs.readFileSync(file, 'utf8')));
+  flowCache.set(id, flow);
+  return flow;
+}
+
+function listFlows() {
+  if (!fs.existsSync(FLOWS_DIR)) return [];
+  return fs.readdirSync(FLOWS_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      const flow = loadFlow(name.replace(/\.json$/, ''));
+      return { id: flow.id, name: flow.name || flow.id, steps: Object.keys(flow.steps) };
+    });
+}
+
+function matchChoice(answer, options = []) {
+  const lower = answer.toLowerCase();
+  for (const option of options) {
+    const value = typeof option === 'string' ? option : option.value;
+    const patterns = typeof option === 'string' ? [option] : [value, ...(option.match || [])];
+    const hit = patterns.some(pattern => {
+      const candidate = String(pattern).toLowerCase();
+      if (/^\d+$/.test(candidate)) return lower === candidate;
+      return lower === candidate || new RegExp(`\\b${escapeRegExp(candidate)}`).test(lower);
+    });
+    if (hit) return value;
+  }
+  return null;
+}
+
+function validateAnswer(rule, rawAnswer) {
+  const answer = normalizeAnswer(rawAnswer);
+  if (!rule) {
+    return answer ? { ok: true, value: answer } : { ok: false };
+  }
+
+  switch (rule.type) {
+    case 'choice': {
+      const value = matchChoice(answer, rule.options);
+      return value === null ? { ok: false } : { ok: true, value };
+    }
+    case 'yesno': {
+      if (/^(y|yes|yeah|yep|sure|ok|okay|si|sí|correct)(?![\p{L}])/iu.test(answer)) return { ok: true, value: 'yes' };
+      if (/^(n|no|nope|nah|not)\b/i.test(answer)) return { ok: true, value: 'no' };
+      return { ok: false };
+    }
+    case 'number': {
+      const value = Number(answer.replace(/[^\d.-]/g, ''));
+      if (!answer || !Number.isFinite(value)) return { ok: false };
+      if (rule.min !== undefined && value < rule.min) return { ok: false };
+      if (rule.max !== undefined && value > rule.max) return { ok: false };
+      return { ok: true, value };
+    }
+    case 'email': {
+      const match = answer.match(/[^\s@]+@[^\s@]+\.[^\s@]+/);
+      return match ? { ok: true, value: match[0].toLowerCase() } : { ok: false };
+    }
+    case 'zip': {
+      const match = answer.match(/\b\d{5}\b/);
+      return match ? { ok: true, value: match[0] } : { ok: false };
+    }
+    case 'regex': {
+      const match = answer.match(new RegExp(rule.pattern, rule.flags || 'i'));
+      return match ? { ok: true, value: match[1] || match[0] } : { ok: false };
+    }
+    case 'text':
+    default: {
+      const min = Number(rule.minLength ?? 1);
+      const max = Number(rule.maxLength ?? 500);
+      if (answer.length < min || answer.length > max) return { ok: false };
+      return { ok: true, value: answer };
+    }
+  }
+}
+
+function conditionMatches(condition = {}, value, fields = {}) {
+  const subject = condition.field ? fields[condition.field] : value;
+  const text = String(subject ?? '').toLowerCase();
+  if (condition.equals !== undefined) return text === String(condition.equals).toLowerCase();
+  if (Array.isArray(condition.in)) return condition.in.some(item => text === String(item).toLowerCase());
+  if (condition.matches) return new RegExp(condition.matches, 'i').test(text);
+  return true;
+}
+
+function resolveNextStep(step, value, fields) {
+  const transition = listTransitions(step.next)
+    .find(candidate => conditionMatches(candidate.if, value, fields));
+  return transition?.goto || null;
+}
+
+function isTerminal(step) {
+  return Boolean(step?.action);
+}
+
+// Pull the answers a flow collects out of a stored conversation record.
+function collectedFields(flow, state = {}) {
+  const fields = {};
+  Object.values(flow.steps).forEach(step => {
+    if (step.field && state?.[step.field] !== undefined) {
+      fields[step.field] = state[step.field];
+    }
+  });
+  return fields;
+}
+
+async function enterStep(flow, stepId, { vars, fields, actions }) {
+  const step = flow.steps[stepId];
+  const result = { step: stepId, messages: [], leadPatch: {}, action: null };
+  let templateVars = { ...vars, ...fields };
+
+  if (step.action) {
+    const handler = actions?.[step.action];
+    let output = {};
+    if (typeof handler === 'function') {
+      output = (await handler({ flow, stepId, step, fields, vars: templateVars })) || {};
+    }
+    templateVars = { ...templateVars, ...(output.vars || {}) };
+    result.action = { type: step.action, ...output };
+  }
+
+  if (step.action && step.leadStatus) result.leadPatch.status = step.leadStatus;
+  const prompt = renderTemplate(step.prompt, templateVars).trim();
+  if (prompt) result.messages.push(prompt);
+  return result;
+}
+
+function answerStep(flow, stepId, answer, fields) {
+  const step = flow.steps[stepId];
+  const check = validateAnswer(step.validate, answer);
+  if (!check.ok) return null;
+  const merged = { ...fields, [step.field]: check.value };
+  const next = resolveNextStep(step, check.value, merged);
+  if (!next) {
+    throw createFlowError('flow_dead_end', `SMS flow "${flow.id}" has no transition from "${stepId}"`);
+  }
+  return { value: check.value, next };
+}
+
+// Walk forward from stepId past every question whose field is already known
+// (collected earlier or prefilled from extraction), returning the step to enter.
+function skipAnswered(flow, stepId, fields, prefill, collected, leadPatch) {
+  const visited = new Set();
+  let current = stepId;
+  while (!visited.has(current)) {
+    visited.add(current);
+    const step = flow.steps[current];
+    if (isTerminal(step)) break;
+    const known = fields[step.field] ?? prefill[step.field];
+    if (known === undefined || known === null || known === '') break;
+    const answered = answerStep(flow, current, known, { ...fields, ...collected });
+    if (!answered) break;
+    collected[step.field] = answered.value;
+    if (step.leadStatus) leadPatch.status = step.leadStatus;
+    current = answered.next;
+  }
+  return current;
+}
+
+// Begin (or restart) a conversation at the flow's start step.
+async function startFlow(flow, { vars = {}, fields = {}, actions = {}, prefill = {} } = {}) {
+  const collected = {};
+  const leadPatch = { status: 'opened' };
+  const stepId = skipAnswered(flow, flow.start, fields, prefill, collected, leadPatch);
+  const result = await enterStep(flow, stepId, { vars, fields: { ...fields, ...collected }, actions });
+  return {
+    ...result,
+    fields: collected,
+    leadPatch: { ...leadPatch, ...collected, ...result.leadPatch },
+  };
+}
+
+// Apply an inbound reply to the conversation and move to the next step.
+// `prefill` holds fields extracted from the reply; the current step prefers
+// its extracted value and later steps that are already answered are skipped.
+// Returns { step, fields, leadPatch, messages, action, completed }.
+async function advanceFlow(flow, state = {}, reply, { vars = {}, actions = {}, prefill = {} } = {}) {
+  const stepId = state.step && flow.steps[state.step] ? state.step : null;
+  const fields = { ...(state.fields || {}) };
+
+  if (!stepId) {
+    return startFlow(flow, { vars, fields, actions, prefill });
+  }
+
+  const step = flow.steps[stepId];
+  if (isTerminal(step)) {
+    const complete = flow.complete || {};
+    const message = renderTemplate(complete.message, { ...vars, ...fields }).trim();
+    return {
+      step: stepId,
+      fields: {},
+      leadPatch: complete.leadStatus ? { status: complete.leadStatus } : {},
+      messages: message ? [message] : [],
+      action: null,
+      completed: true,
+    };
+  }
+
+  const extracted = prefill[step.field];
+  const answered = (extracted && answerStep(flow, stepId, extracted, fields))
+    || answerStep(flow, stepId, reply, fields);
+  if (!answered) {
+    const retry = renderTemplate(step.error || step.prompt, { ...vars, ...fields }).trim();
+    return { step: stepId, fields: {}, leadPatch: {}, messages: retry ? [retry] : [], action: null, invalid: true };
+  }
+
+  const collected = { [step.field]: answered.value };
+  const leadPatch = step.leadStatus ? { status: step.leadStatus } : {};
+  const nextStepId = skipAnswered(flow, answered.next, fields, prefill, collected, leadPatch);
+  const entered = await enterStep(flow, nextStepId, { vars, fields: { ...fields, ...collected }, actions });
+  return {
+    ...entered,
+    fields: collected,
+    leadPatch: {
+      ...leadPatch,
+      ...collected,
+      ...entered.leadPatch,
+    },
+    completed: false,
+  };
+}
+
+module.exports = {
+  DEFAULT_FLOW_ID,
+  loadFlow,
+  listFlows,
+  validateFlow,
+  validateAnswer,
+  renderTemplate,
+  startFlow,
+  advanceFlow,
+  isTerminal,
+  collectedFields,
+};
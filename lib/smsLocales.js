@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+// SMS copy per locale (data/sms-locales/<locale>.json) plus language detection
+// for a lead's first reply. Flows are written in English and can carry their
+// own translations under `locales.<locale>` (prompts, errors, completion
+// message, missed-call text, HELP and nudges).
+const LOCALES_DIR = path.join(__dirname, '..', 'data', 'sms-locales');
+const DEFAULT_LOCALE = 'en';
+
+// Explicit switches, matched on the whole message like the opt-out keywords.
+const LOCALE_KEYWORDS = {
+  es: ['ESPAÑOL', 'ESPANOL', 'SPANISH'],
+  en: ['ENGLISH', 'INGLÉS', 'INGLES'],
+};
+
+const SPANISH_HINTS = [
+  'hola', 'gracias', 'necesito', 'quiero', 'por favor', 'buenos', 'buenas', 'ayuda', 'cita',
+  'llamé', 'llame', 'llamada', 'mañana', 'tarde', 'noche', 'señor', 'señora', 'casa',
+  'tengo', 'está', 'esta', 'puede', 'pueden', 'cuánto', 'cuanto', 'mi nombre', 'me llamo', 'soy',
+  'sí', 'no funciona', 'agua', 'calefacción', 'aire', 'urgente', 'hoy',
+];
+
+const catalogCache = new Map();
+const flowCache = new WeakMap();
+let localesCache = null;
+
+// Read once; normalizeLocale runs on every inbound text.
+function supportedLocales() {
+  if (localesCache) return localesCache;
+  localesCache = fs.existsSync(LOCALES_DIR)
+    ? fs.readdirSync(LOCALES_DIR)
+      .filter(name => name.endsWith('.json'))
+      .map(name => name.replace(/\.json$/, ''))
+    : [DEFAULT_LOCALE];
+  return localesCache;
+}
+
+function normalizeLocale(locale) {
+  const value = String(locale || '').trim().toLowerCase().split(/[-_]/)[0];
+  return supportedLocales().includes(value) ? value : DEFAULT_LOCALE;
+}
+
+function loadCatalog(locale = DEFAULT_LOCALE) {
+  const id = normalizeLocale(locale);
+  if (catalogCache.has(id)) return catalogCache.get(id);
+  const catalog = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${id}.json`), 'utf8'));
+  catalogCache.set(id, catalog);
+  return catalog;
+}
+
+// Looks up a dotted key ("booking.confirmed"), falling back to English.
+function localeText(locale, key) {
+  const lookup = catalog => key.split('.').reduce((value, part) => value?.[part], catalog);
+  const value = lookup(loadCatalog(locale));
+  return typeof value === 'string' ? value : lookup(loadCatalog(DEFAULT_LOCALE)) || '';
+}
+
+function localeKeyword(body) {
+  const keyword = String(body || '').trim().replace(/[.!]+$/, '').toUpperCase();
+  return Object.keys(LOCALE_KEYWORDS).find(locale => LOCALE_KEYWORDS[locale].includes(keyword)) || null;
+}
+
+// Cheap heuristic for a first reply: Spanish-only characters or two common
+// Spanish words. Anything else is left to the default locale.
+function detectLocale(body) {
+  const text = String(body || '').toLowerCase();
+  if (!text.trim()) return null;
+  if (/[ñ¿¡]/.test(text)) return 'es';
+  const words = ` ${text.replace(/[^\p{L}\s]/gu, ' ').replace(/\s+/g, ' ')} `;
+  const hits = SPANISH_HINTS.filter(hint => words.includes(` ${hint} `)).length;
+  return hits >= 2 ? 'es' : null;
+}
+
+function localizeFlow(flow, locale) {
+  const id = normalizeLocale(locale);
+  if (id === (flow.locale || DEFAULT_LOCALE)) return flow;
+  const perFlow = flowCache.get(flow) || new Map();
+  flowCache.set(flow, perFlow);
+  if (perFlow.has(id)) return perFlow.get(id);
+
+  const overlay = flow.locales?.[id] || {};
+  const steps = {};
+  Object.entries(flow.steps).forEach(([stepId, step]) => {
+    const translated = overlay.steps?.[stepId] || {};
+    steps[stepId] = {
+      ...step,
+      ...(translated.prompt ? { prompt: translated.prompt } : {}),
+      ...(translated.error ? { error: translated.error } : {}),
+    };
+  });
+  const nudgeCopy = overlay.nudges || {};
+  const localized = {
+    ...flow,
+    locale: id,
+    missedCallMessage: overlay.missedCallMessage || flow.missedCallMessage,
+    helpMessage: overlay.helpMessage || localeText(id, 'help'),
+    steps,
+    complete: flow.complete
+      ? { ...flow.complete, ...(overlay.complete?.message ? { message: overlay.complete.message } : {}) }
+      : flow.complete,
+    nudges: flow.nudges
+      ? {
+        ...flow.nudges,
+        steps: flow.nudges.steps.map(step => (nudgeCopy[step.id] ? { ...step, message: nudgeCopy[step.id] } : step)),
+      }
+      : flow.nudges,
+  };
+  perFlow.set(id, localized);
+  return localized;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  supportedLocales,
+  normalizeLocale,
+  localeText,
+  localeKeyword,
+  detectLocale,
+  localizeFlow,
+};
@@ -0,0 +1,150 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Turns phrases like "Tuesday 3pm", "tomorrow morning", "10/24 at 2" or
+// "today after 4" into a target in the business timezone:
+// { start, end, precision: 'exact' | 'window' | 'day' }.
+const DEFAULT_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'America/New_York';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_PATTERN = /\b(next\s+|this\s+)?(sun|mon|tue|wed|thu|fri|sat)[a-z]*\b/i;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_DAY_PATTERN = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b/i;
+const NUMERIC_DATE_PATTERN = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/;
+const CLOCK_PATTERN = /\b(?:(at|@|around|after|before|by)\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?(?=\s|$|[,.!?])/gi;
+
+const DAY_PARTS = {
+  morning: [8, 12],
+  afternoon: [12, 17],
+  evening: [17, 20],
+  tonight: [17, 20],
+  night: [17, 20],
+};
+
+function resolveDay(text, now) {
+  const lower = text.toLowerCase();
+  if (/\b(today|tonight|this (morning|afternoon|evening))\b/.test(lower)) {
+    return { day: now.startOf('day'), explicit: true };
+  }
+  if (/\btomorrow\b/.test(lower)) {
+    return { day: now.add(1, 'day').startOf('day'), explicit: true };
+  }
+
+  const monthDay = lower.match(MONTH_DAY_PATTERN);
+  if (monthDay) {
+    let day = now.month(MONTHS.indexOf(monthDay[1].slice(0, 3))).date(Number(monthDay[2])).startOf('day');
+    if (day.isBefore(now.startOf('day'))) day = day.add(1, 'year');
+    return { day, explicit: true };
+  }
+
+  const numeric = lower.match(NUMERIC_DATE_PATTERN);
+  if (numeric) {
+    const month = Number(numeric[1]) - 1;
+    const date = Number(numeric[2]);
+    if (month >= 0 && month < 12 && date >= 1 && date <= 31) {
+      let year = numeric[3] ? Number(numeric[3]) : now.year();
+      if (year < 100) year += 2000;
+      let day = now.year(year).month(month).date(date).startOf('day');
+      if (!numeric[3] && day.isBefore(now.startOf('day'))) day = day.add(1, 'year');
+      return { day, explicit: true };
+    }
+  }
+
+  const weekday = lower.match(WEEKDAY_PATTERN);
+  if (weekday) {
+    const target = WEEKDAYS.indexOf(weekday[2].slice(0, 3));
+    let offset = (target - now.day() + 7) % 7;
+    if (weekday[1]?.trim() === 'next' && offset === 0) offset = 7;
+    return { day: now.add(offset, 'day').startOf('day'), explicit: true, weekdayOnly: offset === 0 };
+  }
+
+  return { day: now.startOf('day'), explicit: false };
+}
+
+function resolveClock(text) {
+  const lower = text.toLowerCase().replace(/\bnoon\b/g, '12pm');
+
+  // Skip numbers that belong to dates ("10/24") so they aren't read as times.
+  const stripped = lower.replace(NUMERIC_DATE_PATTERN, ' ').replace(MONTH_DAY_PATTERN, ' ');
+  // A bare number only counts as a time when something marks it as one, so
+  // "I have 3 kids at 5" reads the 5.
+  const match = [...stripped.matchAll(CLOCK_PATTERN)].find(([, qualifier, , rawMinute, meridiem]) => (
+    qualifier || rawMinute || meridiem
+  ));
+  if (!match) return null;
+  const [, qualifier = '', rawHour, rawMinute, meridiem = ''] = match;
+  let hour = Number(rawHour);
+  const minute = Number(rawMinute || 0);
+  if (hour > 23 || minute > 59) return null;
+
+  const isPm = meridiem.startsWith('p');
+  const isAm = meridiem.startsWith('a');
+  if (isPm && hour < 12) hour += 12;
+  if (isAm && hour === 12) hour = 0;
+  if (!isPm && !isAm && hour >= 1 && hour <= 7) hour += 12; // "at 3" means 3pm for a service call
+  return { hour, minute, qualifier: qualifier.toLowerCase() };
+}
+
+function resolveDayPart(text) {
+  const lower = text.toLowerCase();
+  const key = Object.keys(DAY_PARTS).find(part => new RegExp(`\\b${part}\\b`).test(lower));
+  return key ? DAY_PARTS[key] : null;
+}
+
+function parseTimePhrase(text, { now = dayjs(), timezone: tz = DEFAULT_TIMEZONE } = {}) {
+  const input = String(text || '').trim();
+  if (!input) return null;
+  const localNow = dayjs(now).tz(tz);
+
+  const { day, explicit, weekdayOnly } = resolveDay(input, localNow);
+  const clock = resolveClock(input);
+  const dayPart = resolveDayPart(input);
+  if (!explicit && !clock && !dayPart) return null;
+
+  if (clock) {
+    let start = day.hour(clock.hour).minute(clock.minute).second(0).millisecond(0);
+    // "Tuesday 3pm" said on Tuesday evening, or "at 10" said after 10, means the next one.
+    if (start.isBefore(localNow)) {
+      if (weekdayOnly) {
+        start = start.add(7, 'day');
+      } else if (!explicit) {
+        start = start.add(1, 'day');
+      } else {
+        return null;
+      }
+    }
+    if (clock.qualifier === 'after') {
+      return { start, end: start.endOf('day'), precision: 'window', timezone: tz };
+    }
+    if (clock.qualifier === 'before' || clock.qualifier === 'by') {
+      const windowStart = start.isSame(localNow, 'day') ? localNow : start.startOf('day');
+      return { start: windowStart, end: start, precision: 'window', timezone: tz };
+    }
+    return { start, end: start, precision: 'exact', timezone: tz };
+  }
+
+  let target = day;
+  if (weekdayOnly && dayPart && localNow.hour() >= dayPart[1]) target = day.add(7, 'day');
+  if (dayPart) {
+    let start = target.hour(dayPart[0]).minute(0).second(0).millisecond(0);
+    const end = target.hour(dayPart[1]).minute(0).second(0).millisecond(0);
+    if (!end.isAfter(localNow)) {
+      if (explicit) return null;
+      return parseTimePhrase(`tomorrow ${input}`, { now, timezone: tz });
+    }
+    if (start.isBefore(localNow)) start = localNow;
+    return { start, end, precision: 'window', timezone: tz };
+  }
+
+  const start = target.isSame(localNow, 'day') ? localNow : target;
+  return { start, end: target.endOf('day'), precision: 'day', timezone: tz };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  parseTimePhrase,
+};
@@ -0,0 +1,62 @@
+const twilio = require('twilio');
+
+// Rejects Twilio webhooks whose X-Twilio-Signature doesn't match the public URL
+// Twilio called. Behind a proxy the URL is rebuilt from the configured base URL
+// and, failing that, from X-Forwarded-Proto/Host.
+function forwardedBaseUrl(req) {
+  const forwardedHost = req.headers['x-forwarded-host'];
+  const host = (Array.isArray(forwardedHost) ? forwardedHost[0] : forwardedHost) || req.get('host') || '';
+  if (!host) return '';
+  const protoHeader = req.headers['x-forwarded-proto'];
+  const proto = (Array.isArray(protoHeader) ? protoHeader[0] : (protoHeader || '')).split(',')[0].trim();
+  return `${proto || req.protocol || 'https'}://${host.split(',')[0].trim()}`;
+}
+
+function candidateUrls(req, getBaseUrl) {
+  const bases = [getBaseUrl ? getBaseUrl(req) : '', forwardedBaseUrl(req)]
+    .map(base => String(base || '').replace(/\/$/, ''))
+    .filter(Boolean);
+  return [...new Set(bases)].map(base => `${base}${req.originalUrl}`);
+}
+
+function isBypassEnabled(value, env = process.env.NODE_ENV) {
+  if (!/^(1|true|yes)$/i.test(String(value || ''))) return false;
+  if (env === 'production') {
+    console.error('[Twilio] TWILIO_SIGNATURE_BYPASS is ignored in production');
+    return false;
+  }
+  return true;
+}
+
+function createTwilioSignatureMiddleware({
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  getBaseUrl = null,
+  bypass = isBypassEnabled(process.env.TWILIO_SIGNATURE_BYPASS),
+} = {}) {
+  if (bypass) {
+    console.warn('[Twilio] Webhook signature validation is disabled (TWILIO_SIGNATURE_BYPASS)');
+  }
+
+  return function validateTwilioSignature(req, res, next) {
+    if (bypass) return next();
+
+    const signature = req.get('x-twilio-signature') || '';
+    const params = req.method === 'POST' && req.is('application/x-www-form-urlencoded') ? (req.body || {}) : {};
+    const valid = Boolean(authToken && signature) && candidateUrls(req, getBaseUrl)
+      .some(url => twilio.validateRequest(authToken, signature, url, params));
+
+    if (valid) return next();
+
+    console.warn('[Twilio] Rejected webhook with invalid signature', {
+      path: req.originalUrl.split('?')[0],
+      hasSignature: Boolean(signature),
+      hasAuthToken: Boolean(authToken),
+    });
+    return res.status(403).type('text/plain').send('Invalid Twilio signature');
+  };
+}
+
+module.exports = {
+  createTwilioSignatureMiddleware,
+  isBypassEnabled,
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Weekly business-hours schedule for inbound /voice with holiday exceptions.
+// Each open block can override the forward number, dial timeout and greeting;
+// FORWARD_TO_NUMBER / ON_CALL_NUMBER / DIAL_TIMEOUT are the defaults.
+const SCHEDULE_FILE = path.join(__dirname, '..', 'data', 'voice-schedule.json');
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+let cachedSchedule = null;
+
+function toMinutes(hhmm) {
+  const [hours, minutes] = String(hhmm || '0:0').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+function loadVoiceSchedule() {
+  if (cachedSchedule) return cachedSchedule;
+  let raw = null;
+  try {
+    if (process.env.VOICE_SCHEDULE) {
+      raw = JSON.parse(process.env.VOICE_SCHEDULE);
+    } else if (fs.existsSync(SCHEDULE_FILE)) {
+      raw = JSON.parse(fs.readFileSync(SCHEDULE_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('[VoiceSchedule] Failed to load schedule, forwarding around the clock', error?.message || error);
+  }
+  // No schedule (or a broken one) keeps the old behaviour: always forward.
+  cachedSchedule = raw ? { enabled: true, ...raw } : { enabled: false };
+  return cachedSchedule;
+}
+
+function findBlock(blocks = [], minutes) {
+  return blocks.find(block => {
+    const start = toMinutes(block.start);
+    const end = toMinutes(block.end);
+    // Blocks that cross midnight ("22:00" → "06:00") wrap around.
+    return end > start
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }) || null;
+}
+
+// Work out how an inbound call should be handled right now. A business from
+// the registry can bring its own schedule and forward/on-call numbers.
+function resolveVoiceSchedule(now = dayjs(), { business = null } = {}) {
+  const schedule = business?.voiceSchedule
+    ? { enabled: true, ...business.voiceSchedule }
+    : loadVoiceSchedule();
+  const defaults = {
+    forwardTo: (business ? business.forwardTo : process.env.FORWARD_TO_NUMBER) || '',
+    onCallNumber: (business
+      ? business.onCallNumber || business.forwardTo
+      : process.env.ON_CALL_NUMBER || process.env.FORWARD_TO_NUMBER) || '',
+    dialTimeout: parseInt(process.env.DIAL_TIMEOUT || '20', 10),
+  };
+
+  if (!schedule.enabled) {
+    return { open: true, ...defaults, greeting: '', voice: 'warm', holiday: null, afterHours: {} };
+  }
+
+  const tz = process.env.BUSINESS_TIMEZONE || schedule.timezone || 'America/New_York';
+  const local = dayjs(now).tz(tz);
+  const dateKey = local.format('YYYY-MM-DD');
+  const minutes = local.hour() * 60 + local.minute();
+  const holiday = (schedule.holidays || []).find(item => item.date === dateKey) || null;
+
+  let blocks = schedule.weekly?.[WEEKDAY_KEYS[local.day()]] || [];
+  if (holiday) {
+    blocks = holiday.closed ? [] : (holiday.hours || blocks);
+  }
+  const block = findBlock(blocks, minutes);
+  // Numbers in the shared schedule file belong to the default business only.
+  const scheduleNumbers = Boolean(business?.voiceSchedule) || !business || business.isDefault;
+
+  return {
+    open: Boolean(block),
+    forwardTo: (scheduleNumbers && (block?.forwardTo || schedule.forwardTo)) || defaults.forwardTo,
+    onCallNumber: (scheduleNumbers && (schedule.afterHours?.onCallNumber || schedule.onCallNumber)) || defaults.onCallNumber,
+    dialTimeout: Number(block?.dialTimeout || schedule.dialTimeout || defaults.dialTimeout),
+    greeting: block?.greeting ?? schedule.greeting ?? '',
+    voice: schedule.voice || 'warm',
+    holiday: holiday?.name || null,
+    afterHours: schedule.afterHours || {},
+    localTime: local.format(),
+  };
+}
+
+module.exports = {
+  loadVoiceSchedule,
+  resolveVoiceSchedule,
+};
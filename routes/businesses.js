@@ -0,0 +1,70 @@
+const express = require('express');
+const { requireAdminSecret } = require('../lib/adminAuth');
+const {
+  listBusinesses,
+  findBusiness,
+  saveBusiness,
+  deleteBusiness,
+  defaultBusiness,
+  BusinessRegistryError,
+} = require('../services/businessRegistry');
+
+function createBusinessesRouter() {
+  const router = express.Router();
+  router.use(requireAdminSecret);
+
+  router.get('/', async (req, res) => {
+    try {
+      const businesses = await listBusinesses({ includeInactive: req.query.all === '1' });
+      res.json({ ok: true, default: defaultBusiness(), businesses });
+    } catch (error) {
+      console.error('[Businesses] List failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // :key is a registry id or a Twilio number; the response shows the
+  // effective settings after env defaults are applied.
+  router.get('/:key', async (req, res) => {
+    try {
+      const business = await findBusiness(req.params.key);
+      if (business.isDefault && req.params.key !== 'default') {
+        return res.status(404).json({ error: 'not_found' });
+      }
+      res.json({ ok: true, business });
+    } catch (error) {
+      console.error('[Businesses] Fetch failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  router.put('/:number', async (req, res) => {
+    try {
+      const business = await saveBusiness(req.params.number, req.body || {}, { actor: 'admin_api' });
+      res.json({ ok: true, business });
+    } catch (error) {
+      if (error instanceof BusinessRegistryError) {
+        return res.status(error.status).json({ error: error.code, message: error.message });
+      }
+      console.error('[Businesses] Save failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  router.delete('/:number', async (req, res) => {
+    try {
+      const removed = await deleteBusiness(req.params.number, { actor: 'admin_api' });
+      if (!removed) {
+        return res.status(404).json({ error: 'not_found' });
+      }
+      res.json({ ok: true });
+    } catch (error) {
+      console.error('[Businesses] Delete failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createBusinessesRouter;
@@ -0,0 +1,64 @@
+const express = require('express');
+const { requireAdminSecret } = require('../lib/adminAuth');
+const { DISPOSITIONS, listColdCalls, findColdCall } = require('../services/coldCallLog');
+const { normalizePhone } = require('../services/optOutRegistry');
+
+function queryString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function createColdCallsRouter() {
+  const router = express.Router();
+  router.use(requireAdminSecret);
+
+  // ?lead=<phone>&campaign=&disposition=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=
+  router.get('/', async (req, res) => {
+    const from = queryString(req.query.from);
+    const to = queryString(req.query.to);
+    const disposition = queryString(req.query.disposition);
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ error: 'invalid_date' });
+    }
+    if (disposition && !DISPOSITIONS.includes(disposition)) {
+      return res.status(400).json({ error: 'invalid_disposition', allowed: DISPOSITIONS });
+    }
+    const leadQuery = queryString(req.query.lead);
+    const lead = leadQuery ? normalizePhone(leadQuery) : '';
+    if (leadQuery && !lead) {
+      return res.status(400).json({ error: 'invalid_lead' });
+    }
+    try {
+      const calls = await listColdCalls({
+        lead,
+        campaign: queryString(req.query.campaign),
+        disposition,
+        from,
+        to,
+        limit: req.query.limit,
+      });
+      res.json({ ok: true, calls });
+    } catch (error) {
+      console.error('[ColdCaller] Call log list failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const call = await findColdCall(req.params.id);
+      if (!call) {
+        return res.status(404).json({ error: 'not_found' });
+      }
+      res.json({ ok: true, call });
+    } catch (error) {
+      console.error('[ColdCaller] Call log fetch failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createColdCallsRouter;
@@ -0,0 +1,120 @@
+const express = require('express');
+const { requireAdminSecret } = require('../lib/adminAuth');
+const { listThreads, getThread, markThreadRead } = require('../services/inbox');
+const { findBusiness, businessSmsOptions } = require('../services/businessRegistry');
+const { sendSMS } = require('../services/twilioClient');
+const { pauseThread, resumeThread, touchOperator, takeoverSummary } = require('../services/takeover');
+
+function queryString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function createInboxRouter() {
+  const router = express.Router();
+  router.use(requireAdminSecret);
+
+  // Threads by last activity; ?unread=1 for threads waiting on an operator.
+  router.get('/', async (req, res) => {
+    try {
+      const threads = await listThreads({
+        business: queryString(req.query.business),
+        unreadOnly: /^(1|true|yes)$/i.test(queryString(req.query.unread)),
+        limit: req.query.limit,
+      });
+      res.json({ ok: true, threads });
+    } catch (error) {
+      console.error('[Inbox] Thread list failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  router.get('/:phone', async (req, res) => {
+    try {
+      const thread = await getThread(req.params.phone);
+      if (!thread) {
+        return res.status(404).json({ error: 'not_found' });
+      }
+      res.json({ ok: true, thread });
+    } catch (error) {
+      console.error('[Inbox] Thread fetch failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  router.post('/:phone/read', async (req, res) => {
+    try {
+      const marked = await markThreadRead(req.params.phone);
+      res.json({ ok: true, marked });
+    } catch (error) {
+      console.error('[Inbox] Mark read failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // Human takeover: the bot stops answering this lead until resumed or idle.
+  router.post('/:phone/pause', async (req, res) => {
+    try {
+      const takeover = await pauseThread(req.params.phone, {
+        by: queryString(req.body?.operator) || 'admin_api',
+        reason: 'operator',
+      });
+      if (!takeover) {
+        return res.status(400).json({ error: 'invalid_phone' });
+      }
+      res.json({ ok: true, takeover: takeoverSummary(takeover) });
+    } catch (error) {
+      console.error('[Inbox] Pause failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  router.post('/:phone/resume', async (req, res) => {
+    try {
+      const takeover = await resumeThread(req.params.phone, { by: queryString(req.body?.operator) || 'admin_api' });
+      res.json({ ok: true, takeover: takeoverSummary(takeover) });
+    } catch (error) {
+      console.error('[Inbox] Resume failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // Operator reply, sent from the number of the business the lead was texting.
+  router.post('/:phone/reply', async (req, res) => {
+    const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+    if (!message) {
+      return res.status(400).json({ error: 'message_required' });
+    }
+    try {
+      const thread = await getThread(req.params.phone);
+      if (!thread) {
+        return res.status(404).json({ error: 'not_found' });
+      }
+      const business = await findBusiness(thread.business);
+      const operator = queryString(req.body?.operator) || 'admin_api';
+      const sent = await sendSMS(
+        thread.phone,
+        message,
+        {
+          source: 'inbox_reply',
+          business: business.id,
+          operator,
+        },
+        businessSmsOptions(business)
+      );
+      await markThreadRead(thread.phone);
+      // Replying takes the thread over so the bot doesn't talk over the operator.
+      await touchOperator(thread.phone, { by: operator });
+      res.json({ ok: true, sid: sent?.sid || null });
+    } catch (error) {
+      if (error?.code === 'sms_opted_out') {
+        return res.status(409).json({ error: 'opted_out' });
+      }
+      console.error('[Inbox] Reply failed', error?.message || error);
+      res.status(502).json({ error: 'sms_failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createInboxRouter;
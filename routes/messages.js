@@ -0,0 +1,58 @@
+const express = require('express');
+const { requireAdminSecret } = require('../lib/adminAuth');
+const { listMessages, findMessage, deliveryStats } = require('../services/messageLedger');
+
+function queryString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function createMessagesRouter() {
+  const router = express.Router();
+  router.use(requireAdminSecret);
+
+  router.get('/', async (req, res) => {
+    try {
+      const messages = await listMessages({
+        phone: queryString(req.query.phone),
+        campaign: queryString(req.query.campaign),
+        limit: req.query.limit,
+      });
+      res.json({ ok: true, messages });
+    } catch (error) {
+      console.error('[SMS] Ledger list failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // ?phone= for one lead, ?campaign= for one campaign, ?groupBy=campaign|to for a breakdown.
+  router.get('/stats', async (req, res) => {
+    try {
+      const stats = await deliveryStats({
+        phone: queryString(req.query.phone),
+        campaign: queryString(req.query.campaign),
+        groupBy: queryString(req.query.groupBy),
+      });
+      res.json({ ok: true, stats });
+    } catch (error) {
+      console.error('[SMS] Ledger stats failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  router.get('/:sid', async (req, res) => {
+    try {
+      const message = await findMessage(req.params.sid);
+      if (!message) {
+        return res.status(404).json({ error: 'not_found' });
+      }
+      res.json({ ok: true, message });
+    } catch (error) {
+      console.error('[SMS] Ledger fetch failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createMessagesRouter;
@@ -0,0 +1,42 @@
+const express = require('express');
+const { requireAdminSecret } = require('../lib/adminAuth');
+const { listNudges, nudgeStats } = require('../services/nudgeDrip');
+
+function queryString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function createNudgesRouter() {
+  const router = express.Router();
+  router.use(requireAdminSecret);
+
+  router.get('/', async (req, res) => {
+    try {
+      const nudges = await listNudges({
+        phone: queryString(req.query.phone),
+        business: queryString(req.query.business),
+        status: queryString(req.query.status),
+        limit: req.query.limit,
+      });
+      res.json({ ok: true, nudges });
+    } catch (error) {
+      console.error('[Nudges] List failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // Enrolment, reply/booking/opt-out rates and per-step conversion; ?business= for one business.
+  router.get('/stats', async (req, res) => {
+    try {
+      const stats = await nudgeStats({ business: queryString(req.query.business) });
+      res.json({ ok: true, stats });
+    } catch (error) {
+      console.error('[Nudges] Stats failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createNudgesRouter;
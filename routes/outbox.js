@@ -0,0 +1,75 @@
+const express = require('express');
+const { requireAdminSecret } = require('../lib/adminAuth');
+const { listOutbox, findOutboxEntry, emitStatusCallback, clearOutbox } = require('../services/twilioOutbox');
+
+function queryString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Dev-only view of what the outbox transport captured instead of sending.
+function createOutboxRouter() {
+  const router = express.Router();
+  router.use(requireAdminSecret);
+
+  router.get('/', async (req, res) => {
+    try {
+      const entries = await listOutbox({
+        kind: queryString(req.query.kind),
+        to: queryString(req.query.to),
+        limit: req.query.limit,
+      });
+      res.json({ ok: true, entries });
+    } catch (error) {
+      console.error('[Outbox] List failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  router.get('/:sid', async (req, res) => {
+    try {
+      const entry = await findOutboxEntry(req.params.sid);
+      if (!entry) {
+        return res.status(404).json({ error: 'not_found' });
+      }
+      res.json({ ok: true, entry });
+    } catch (error) {
+      console.error('[Outbox] Fetch failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // Fires a status callback by hand, e.g. { "status": "undelivered", "errorCode": "30008" }.
+  router.post('/:sid/status', async (req, res) => {
+    const status = queryString(req.body?.status);
+    if (!status) {
+      return res.status(400).json({ error: 'status_required' });
+    }
+    try {
+      const entry = await emitStatusCallback(req.params.sid, status, {
+        errorCode: queryString(req.body?.errorCode) || null,
+        url: queryString(req.body?.url),
+      });
+      if (!entry) {
+        return res.status(404).json({ error: 'not_found' });
+      }
+      res.json({ ok: true, entry });
+    } catch (error) {
+      console.error('[Outbox] Status callback failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  router.delete('/', async (req, res) => {
+    try {
+      const removed = await clearOutbox();
+      res.json({ ok: true, removed });
+    } catch (error) {
+      console.error('[Outbox] Clear failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createOutboxRouter;
@@ -0,0 +1,45 @@
+const express = require('express');
+const { requireAdminSecret } = require('../lib/adminAuth');
+const { recoveryReport, reportToCsv } = require('../services/recoveryReport');
+const { findBusiness } = require('../services/businessRegistry');
+
+function queryString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function createReportsRouter() {
+  const router = express.Router();
+  router.use(requireAdminSecret);
+
+  // ?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day|week&business=<id>&format=csv
+  router.get('/recovery', async (req, res) => {
+    const from = queryString(req.query.from);
+    const to = queryString(req.query.to);
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ error: 'invalid_date' });
+    }
+    try {
+      const report = await recoveryReport({
+        from,
+        to,
+        groupBy: queryString(req.query.groupBy),
+        business: queryString(req.query.business),
+        jobValueFor: async id => (await findBusiness(id)).averageJobValue,
+      });
+      if (queryString(req.query.format) === 'csv') {
+        res.setHeader('Content-Disposition', `attachment; filename="recovery-${report.from}-${report.to}.csv"`);
+        return res.type('text/csv').send(reportToCsv(report));
+      }
+      res.json({ ok: true, report });
+    } catch (error) {
+      console.error('[Reports] Recovery report failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createReportsRouter;
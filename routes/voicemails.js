@@ -0,0 +1,38 @@
+const express = require('express');
+const { requireAdminSecret } = require('../lib/adminAuth');
+const { listVoicemails, findVoicemail } = require('../services/voicemails');
+
+function createVoicemailsRouter() {
+  const router = express.Router();
+  router.use(requireAdminSecret);
+
+  router.get('/', async (req, res) => {
+    try {
+      const voicemails = await listVoicemails({
+        phone: typeof req.query.phone === 'string' ? req.query.phone.trim() : '',
+        limit: req.query.limit,
+      });
+      res.json({ ok: true, voicemails });
+    } catch (error) {
+      console.error('[Voicemail] List failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  router.get('/:callSid', async (req, res) => {
+    try {
+      const voicemail = await findVoicemail(req.params.callSid);
+      if (!voicemail) {
+        return res.status(404).json({ error: 'not_found' });
+      }
+      res.json({ ok: true, voicemail });
+    } catch (error) {
+      console.error('[Voicemail] Fetch failed', error?.message || error);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createVoicemailsRouter;
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const dayjs = require('dayjs');
+require('dayjs/locale/es'); // Spanish slot labels (see lib/smsLocales)
+const { getCollection } = require('./mongo');
+const { parseTimePhrase, DEFAULT_TIMEZONE } = require('../lib/timeParser');
+
+// SMS booking against a configurable availability calendar.
+// The calendar comes from AVAILABILITY_CONFIG (JSON) or data/availability.json;
+// confirmed bookings live in the `appointments` collection so offered slots
+// never double-book.
+const AVAILABILITY_FILE = path.join(__dirname, '..', 'data', 'availability.json');
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MAX_OFFERED_SLOTS = 3;
+
+let cachedConfig = null;
+let indexPromise = null;
+
+function loadAvailability() {
+  if (cachedConfig) return cachedConfig;
+  let raw = {};
+  try {
+    raw = process.env.AVAILABILITY_CONFIG
+      ? JSON.parse(process.env.AVAILABILITY_CONFIG)
+      : JSON.parse(fs.readFileSync(AVAILABILITY_FILE, 'utf8'));
+  } catch (error) {
+    console.error('[Scheduler] Failed to load availability config', error?.message || error);
+  }
+  cachedConfig = {
+    timezone: process.env.BUSINESS_TIMEZONE || raw.timezone || DEFAULT_TIMEZONE,
+    slotMinutes: Math.max(15, Number(raw.slotMinutes || 60)),
+    leadTimeMinutes: Math.max(0, Number(raw.leadTimeMinutes ?? 120)),
+    horizonDays: Math.max(1, Number(raw.horizonDays || 14)),
+    weekly: raw.weekly || {},
+    closedDates: new Set(raw.closedDates || []),
+  };
+  return cachedConfig;
+}
+
+function toMinutes(hhmm) {
+  const [hours, minutes] = String(hhmm || '0:0').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+// One confirmed booking per business and start time, so two leads racing for
+// the same slot can't both be confirmed.
+async function ensureIndexes(collection) {
+  if (typeof collection.createIndex !== 'function') return;
+  if (!indexPromise) {
+    indexPromise = collection.createIndex(
+      { business: 1, start: 1 },
+      { unique: true, partialFilterExpression: { status: 'confirmed' } },
+    ).catch((error) => {
+      indexPromise = null;
+      console.warn('[Scheduler] Failed to ensure indexes', error?.message || error);
+    });
+  }
+  await indexPromise;
+}
+
+async function appointments() {
+  const collection = await getCollection('appointments');
+  await ensureIndexes(collection);
+  return collection;
+}
+
+// Bookings are scoped per business (registry id); older rows without one
+// belong to the default business.
+async function listBookedAppointments(business = 'default') {
+  const collection = await appointments();
+  const rows = await collection.find({ status: 'confirmed' }).toArray();
+  return rows.filter(row => (row.business || 'default') === business).map(row => ({ start: dayjs(row.start), end: dayjs(row.end) }));
+}
+
+function overlaps(slot, booked) {
+  return booked.some(item => slot.start.isBefore(item.end) && item.start.isBefore(slot.end));
+}
+
+async function listOpenSlots({ now = dayjs(), config = loadAvailability(), business } = {}) {
+  const localNow = dayjs(now).tz(config.timezone);
+  const earliest = localNow.add(config.leadTimeMinutes, 'minute');
+  const booked = await listBookedAppointments(business);
+  const slots = [];
+
+  for (let offset = 0; offset <= config.horizonDays; offset += 1) {
+    const day = localNow.add(offset, 'day').startOf('day');
+    if (config.closedDates.has(day.format('YYYY-MM-DD'))) continue;
+    const ranges = config.weekly[WEEKDAY_KEYS[day.day()]] || [];
+    ranges.forEach(([open, close]) => {
+      const closeAt = day.add(toMinutes(close), 'minute');
+      for (
+        let start = day.add(toMinutes(open), 'minute');
+        !start.add(config.slotMinutes, 'minute').isAfter(closeAt);
+        start = start.add(config.slotMinutes, 'minute')
+      ) {
+        const slot = { start, end: start.add(config.slotMinutes, 'minute') };
+        if (!start.isBefore(earliest) && !overlaps(slot, booked)) {
+          slots.push(slot);
+        }
+      }
+    });
+  }
+  return slots;
+}
+
+function distanceFromTarget(slot, target) {
+  if (!slot.start.isBefore(target.start) && !slot.start.isAfter(target.end)) return 0;
+  return Math.min(
+    Math.abs(slot.start.diff(target.start)),
+    Math.abs(slot.start.diff(target.end)),
+  );
+}
+
+function serializeSlot(slot) {
+  return { start: slot.start.toISOString(), end: slot.end.toISOString() };
+}
+
+function formatSlot(slot, { timezone = loadAvailability().timezone, locale = 'en', format = 'ddd MMM D, h:mm A' } = {}) {
+  return dayjs(slot.start).tz(timezone).locale(locale).format(format);
+}
+
+// Parse a reply and offer the nearest open slots. Returns null when the reply
+// doesn't read as a date/time.
+async function proposeSlots(text, { now = dayjs(), limit = MAX_OFFERED_SLOTS, business } = {}) {
+  const config = loadAvailability();
+  const target = parseTimePhrase(text, { now, timezone: config.timezone });
+  if (!target) return null;
+
+  const open = await listOpenSlots({ now, config, business });
+  const ranked = open
+    .map(slot => ({ slot, distance: distanceFromTarget(slot, target) }))
+    .sort((a, b) => a.distance - b.distance || a.slot.start.diff(b.slot.start))
+    .slice(0, limit)
+    .map(({ slot }) => slot);
+
+  return {
+    requested: { start: target.start.toISOString(), end: target.end.toISOString(), precision: target.precision },
+    exactMatch: target.precision === 'exact' && ranked[0]?.start.isSame(target.start),
+    slots: ranked.map(serializeSlot),
+  };
+}
+
+function pickOfferedSlot(reply, offered = []) {
+  // Only a bare choice ("2", "#2", "2)"); "2 pm tomorrow" goes to the time parser.
+  const match = String(reply || '').trim().match(/^#?\s*([1-9])\s*[.)]?$/);
+  if (!match) return null;
+  return offered[Number(match[1]) - 1] || null;
+}
+
+async function isSlotOpen(slot, business) {
+  const booked = await listBookedAppointments(business);
+  return !overlaps({ start: dayjs(slot.start), end: dayjs(slot.end) }, booked);
+}
+
+function slotTaken() {
+  const error = new Error('slot_taken');
+  error.code = 'slot_taken';
+  return error;
+}
+
+async function bookSlot(phone, slot, { source = 'sms', details = {}, business = 'default' } = {}) {
+  if (!(await isSlotOpen(slot, business))) throw slotTaken();
+  const collection = await appointments();
+  const now = new Date().toISOString();
+  const record = {
+    phone,
+    start: slot.start,
+    end: slot.end,
+    status: 'confirmed',
+    source,
+    business,
+    ...details,
+    createdAt: now,
+  };
+  const { start, status, ...insertFields } = record;
+  delete insertFields.business;
+  // The insert only happens when nobody holds the slot; a concurrent booking
+  // either matches the existing row or hits the unique index.
+  let result;
+  try {
+    result = await collection.updateOne(
+      { business, start, status },
+      { $setOnInsert: insertFields },
+      { upsert: true },
+    );
+  } catch (error) {
+    if (error?.code === 11000) throw slotTaken();
+    throw error;
+  }
+  if (!result?.upsertedId) throw slotTaken();
+
+  // A lead only holds one SMS-booked appointment; rebooking replaces it.
+  await collection.updateOne(
+    { phone, status: 'confirmed', source, business, start: { $ne: start } },
+    { $set: { status: 'rescheduled', updatedAt: now } },
+  );
+  return record;
+}
+
+module.exports = {
+  loadAvailability,
+  listOpenSlots,
+  proposeSlots,
+  pickOfferedSlot,
+  bookSlot,
+  formatSlot,
+};
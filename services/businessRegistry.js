@@ -0,0 +1,240 @@
+const { getCollection } = require('./mongo');
+const { recordAuditLog } = require('./auditLog');
+const { normalizePhone } = require('./optOutRegistry');
+const { DRIVERS: LEAD_STORES } = require('./leadRepository');
+const { DEFAULT_LOCALE, supportedLocales } = require('../lib/smsLocales');
+
+// One deployment, many businesses: each Twilio number maps to a business entry
+// with its own name, forward number, links, lead sheet and SMS copy. Fields an
+// entry leaves blank fall back to the env-configured default business.
+const COLLECTION = 'businesses';
+const CACHE_TTL_MS = 60 * 1000;
+const TEMPLATE_KEYS = ['missedCall', 'help', 'optOut', 'optIn', 'review', 'fallback', 'voicemailGreeting', 'takeover'];
+const EDITABLE_FIELDS = [
+  'id', 'name', 'forwardTo', 'onCallNumber', 'bookingLink', 'reviewLink',
+  'sheetId', 'leadStore', 'smsFlow', 'voiceSchedule', 'averageJobValue', 'active',
+];
+
+const cache = new Map();
+
+class BusinessRegistryError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.name = 'BusinessRegistryError';
+    this.code = code;
+    this.status = 400;
+  }
+}
+
+function defaultBusiness() {
+  return {
+    id: 'default',
+    number: normalizePhone(process.env.TWILIO_NUMBER || ''),
+    name: process.env.BUSINESS_NAME || 'Our Team',
+    forwardTo: process.env.FORWARD_TO_NUMBER || '',
+    onCallNumber: process.env.ON_CALL_NUMBER || '',
+    bookingLink: process.env.CALENDLY_SCHEDULING_LINK || '#',
+    reviewLink: process.env.REVIEW_LINK || '',
+    sheetId: process.env.GOOGLE_SHEETS_ID || '',
+    leadStore: '',
+    smsFlow: '',
+    voiceSchedule: null,
+    averageJobValue: Number(process.env.AVERAGE_JOB_VALUE || 0) || 0,
+    templates: {},
+    isDefault: true,
+  };
+}
+
+function withDefaults(entry) {
+  const fallback = defaultBusiness();
+  if (!entry || entry.active === false) return fallback;
+  const merged = { ...fallback, isDefault: false };
+  Object.entries(entry).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') merged[key] = value;
+  });
+  merged.templates = { ...(entry.templates || {}) };
+  delete merged._id;
+  return merged;
+}
+
+async function findEntry(number) {
+  const collection = await getCollection(COLLECTION);
+  return collection.findOne({ number });
+}
+
+// Business for an inbound Twilio `To` number (or the default one).
+async function resolveBusiness(toNumber) {
+  const number = normalizePhone(toNumber);
+  if (!number) return defaultBusiness();
+
+  const cached = cache.get(number);
+  if (cached && cached.expiresAt > Date.now()) return cached.business;
+
+  let business;
+  try {
+    business = withDefaults(await findEntry(number));
+  } catch (error) {
+    console.error('[Businesses] Lookup failed, using default business', error?.message || error);
+    business = defaultBusiness();
+  }
+  cache.set(number, { business, expiresAt: Date.now() + CACHE_TTL_MS });
+  return business;
+}
+
+// Looks a business up by registry id or number; used where there's no `To`
+// (Calendly webhooks, crons, admin tools).
+async function findBusiness(key) {
+  const value = String(key || '').trim();
+  if (!value || value === 'default') return defaultBusiness();
+  const collection = await getCollection(COLLECTION);
+  const byId = await collection.findOne({ id: value });
+  if (byId) return withDefaults(byId);
+  return resolveBusiness(value);
+}
+
+async function listBusinesses({ includeInactive = false } = {}) {
+  const collection = await getCollection(COLLECTION);
+  const rows = await collection.find({}).toArray();
+  return rows
+    .filter(row => includeInactive || row.active !== false)
+    .sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+}
+
+function sanitizeEntry(patch = {}) {
+  const clean = {};
+  EDITABLE_FIELDS.forEach((key) => {
+    if (patch[key] !== undefined) clean[key] = patch[key];
+  });
+  if (clean.id !== undefined) {
+    clean.id = String(clean.id).trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]{0,63}$/.test(clean.id) || clean.id === 'default') {
+      throw new BusinessRegistryError('invalid_id', 'id must be a lowercase slug (letters, digits, dashes)');
+    }
+  }
+  ['forwardTo', 'onCallNumber'].forEach((key) => {
+    if (clean[key]) clean[key] = normalizePhone(clean[key]);
+  });
+  if (clean.voiceSchedule !== undefined && clean.voiceSchedule !== null && typeof clean.voiceSchedule !== 'object') {
+    throw new BusinessRegistryError('invalid_voice_schedule', 'voiceSchedule must be an object');
+  }
+  if (clean.leadStore && !LEAD_STORES.includes(clean.leadStore)) {
+    throw new BusinessRegistryError('invalid_lead_store', `leadStore must be one of ${LEAD_STORES.join(', ')}`);
+  }
+  if (clean.averageJobValue !== undefined && clean.averageJobValue !== null && clean.averageJobValue !== '') {
+    const value = Number(clean.averageJobValue);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new BusinessRegistryError('invalid_average_job_value', 'averageJobValue must be a non-negative number');
+    }
+    clean.averageJobValue = value;
+  }
+  if (clean.active !== undefined) clean.active = Boolean(clean.active);
+  if (patch.templates !== undefined) {
+    if (!patch.templates || typeof patch.templates !== 'object') {
+      throw new BusinessRegistryError('invalid_templates', 'templates must be an object');
+    }
+    TEMPLATE_KEYS.forEach((key) => {
+      if (typeof patch.templates[key] === 'string') clean[`templates.${key}`] = patch.templates[key];
+    });
+    // Translations sit under the locale: { "es": { "help": "…" } }.
+    supportedLocales().filter(locale => locale !== DEFAULT_LOCALE).forEach((locale) => {
+      const copy = patch.templates[locale];
+      if (!copy || typeof copy !== 'object') return;
+      TEMPLATE_KEYS.forEach((key) => {
+        if (typeof copy[key] === 'string') clean[`templates.${locale}.${key}`] = copy[key];
+      });
+    });
+  }
+  return clean;
+}
+
+async function saveBusiness(number, patch = {}, { actor = null } = {}) {
+  const normalized = normalizePhone(number);
+  if (!normalized) throw new BusinessRegistryError('invalid_number', 'A Twilio number is required');
+  const fields = sanitizeEntry(patch);
+
+  const collection = await getCollection(COLLECTION);
+  const existing = await collection.findOne({ number: normalized });
+  if (!existing && !fields.name) {
+    throw new BusinessRegistryError('name_required', 'New businesses need a name');
+  }
+  if (fields.id) {
+    const clash = await collection.findOne({ id: fields.id });
+    if (clash && clash.number !== normalized) {
+      throw new BusinessRegistryError('duplicate_id', `id "${fields.id}" is already used by another number`);
+    }
+  }
+
+  // The file fallback store doesn't understand dotted paths, so merge templates
+  // here; a locale's copy is merged key by key like the English templates.
+  const templates = { ...(existing?.templates || {}) };
+  Object.keys(fields).filter(key => key.startsWith('templates.')).forEach((key) => {
+    const [name, templateKey] = key.slice('templates.'.length).split('.');
+    if (templateKey) {
+      templates[name] = { ...(templates[name] || {}), [templateKey]: fields[key] };
+    } else {
+      templates[name] = fields[key];
+    }
+    delete fields[key];
+  });
+
+  const now = new Date().toISOString();
+  // Mongo rejects a path that is in both $set and $setOnInsert.
+  const insertDefaults = { number: normalized, id: normalized.replace(/\D/g, ''), createdAt: now, active: true };
+  Object.keys(fields).forEach(key => delete insertDefaults[key]);
+  await collection.updateOne(
+    { number: normalized },
+    {
+      $set: { ...fields, templates, updatedAt: now },
+      $setOnInsert: insertDefaults,
+    },
+    { upsert: true },
+  );
+  cache.delete(normalized);
+
+  await recordAuditLog({
+    type: existing ? 'business_updated' : 'business_created',
+    number: normalized,
+    fields: Object.keys(patch || {}),
+    userId: actor,
+  });
+  return collection.findOne({ number: normalized });
+}
+
+async function deleteBusiness(number, { actor = null } = {}) {
+  const normalized = normalizePhone(number);
+  const collection = await getCollection(COLLECTION);
+  const existing = await collection.findOne({ number: normalized });
+  if (!existing) return false;
+  await collection.deleteOne({ number: normalized });
+  cache.delete(normalized);
+  await recordAuditLog({ type: 'business_deleted', number: normalized, userId: actor });
+  return true;
+}
+
+// Picks the per-business template, or the given fallback copy. Other locales
+// only use the business's translation, never its English copy.
+function businessTemplate(business, key, fallback = '', locale = DEFAULT_LOCALE) {
+  const templates = locale && locale !== DEFAULT_LOCALE
+    ? business?.templates?.[locale]
+    : business?.templates;
+  const value = templates?.[key];
+  return typeof value === 'string' && value.trim() ? value : fallback;
+}
+
+// Outbound texts go from the number the lead contacted.
+function businessSmsOptions(business) {
+  return business && !business.isDefault && business.number ? { from: business.number } : {};
+}
+
+module.exports = {
+  TEMPLATE_KEYS,
+  BusinessRegistryError,
+  defaultBusiness,
+  resolveBusiness,
+  findBusiness,
+  listBusinesses,
+  saveBusiness,
+  deleteBusiness,
+  businessTemplate,
+  businessSmsOptions,
+};
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { getCollection } = require('./mongo');
+const { DEFAULT_TIMEZONE } = require('../lib/timeParser');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// One record per cold-caller call: what the bot said, what the lead said (with
+// the intent we read into it), whether the SMS link went out, transfer attempts
+// and a final disposition. Calls Twilio refused to place are kept too, with an
+// `id` of their own and no CallSid.
+const COLLECTION = 'cold_calls';
+const DISPOSITIONS = ['no_answer', 'voicemail', 'declined', 'link_sent', 'transferred', 'callback_requested', 'bad_number'];
+
+async function calls() {
+  return getCollection(COLLECTION);
+}
+
+function stripMeta({ _id, ...row }) {
+  return row;
+}
+
+// Set only when the record is created, so a status callback that lands before
+// calls.create returns (or the dial itself) never resets the conversation.
+function initialFields(now) {
+  return {
+    turns: [],
+    intents: [],
+    linkSent: false,
+    linkSentAt: null,
+    transfers: [],
+    callbackRequest: null,
+    disposition: null,
+    createdAt: now,
+    endedAt: null,
+  };
+}
+
+async function startColdCall({
+  callSid = null,
+  to,
+  leadName = '',
+  campaign = '',
+  variant = '',
+  handoffNumber = '',
+  runId = null,
+  disposition = null,
+  error = null,
+}) {
+  const collection = await calls();
+  const now = new Date().toISOString();
+  const id = callSid || `dial_${crypto.randomBytes(12).toString('hex')}`;
+  const dial = {
+    callSid,
+    to,
+    leadName: leadName || '',
+    campaign: campaign || '',
+    runId: runId || null,
+    variant: variant || '',
+    handoffNumber: handoffNumber || null,
+    error,
+    updatedAt: now,
+  };
+  const onInsert = { ...initialFields(now) };
+  // Only dials Twilio refused arrive with a disposition, and those are always new records.
+  if (DISPOSITIONS.includes(disposition)) Object.assign(onInsert, { disposition, endedAt: now });
+  // Upsert: Twilio's first status callback can land before calls.create returns.
+  await collection.updateOne({ id }, { $set: dial, $setOnInsert: onInsert }, { upsert: true });
+  return stripMeta(await collection.findOne({ id }));
+}
+
+async function patchColdCall(callSid, update) {
+  if (!callSid) return null;
+  const collection = await calls();
+  const existing = await collection.findOne({ id: callSid });
+  if (!existing) return null;
+  const patch = typeof update === 'function' ? update(existing) : update;
+  await collection.updateOne(
+    { id: callSid },
+    { $set: { ...patch, updatedAt: new Date().toISOString() } },
+  );
+  return stripMeta(await collection.findOne({ id: callSid }));
+}
+
+// One webhook hop: the lead's utterance (if any) and the lines the bot answered with.
+async function recordColdCallTurn(callSid, { step, speech = '', intent = '', botLines = [], answeredBy = '' } = {}) {
+  const at = new Date().toISOString();
+  return patchColdCall(callSid, (existing) => {
+    const turns = [...(existing.turns || [])];
+    if (speech) turns.push({ role: 'lead', step, text: speech, intent: intent || null, at });
+    botLines.filter(Boolean).forEach(text => turns.push({ role: 'bot', step, text, at }));
+    const intents = intent && !(existing.intents || []).includes(intent)
+      ? [...(existing.intents || []), intent]
+      : existing.intents || [];
+    return { turns, intents, ...(answeredBy ? { answeredBy } : {}) };
+  });
+}
+
+async function recordColdCallLink(callSid) {
+  return patchColdCall(callSid, { linkSent: true, linkSentAt: new Date().toISOString() });
+}
+
+async function recordColdCallTransfer(callSid, { to }) {
+  return patchColdCall(callSid, existing => ({
+    transfers: [...(existing.transfers || []), { to, status: 'dialing', startedAt: new Date().toISOString(), duration: null }],
+  }));
+}
+
+// Outcome of the latest transfer, from the <Dial> action callback.
+async function finishColdCallTransfer(callSid, { status, duration = null }) {
+  return patchColdCall(callSid, (existing) => {
+    const transfers = [...(existing.transfers || [])];
+    if (!transfers.length) return {};
+    transfers[transfers.length - 1] = { ...transfers[transfers.length - 1], status, duration, endedAt: new Date().toISOString() };
+    return { transfers };
+  });
+}
+
+// Twilio call status callback: progress, duration and (when Twilio has it) price.
+async function recordColdCallStatus(callSid, {
+  status,
+  duration = null,
+  price = null,
+  priceUnit = null,
+  answeredBy = '',
+} = {}) {
+  if (!callSid || !status) return null;
+  const collection = await calls();
+  const now = new Date().toISOString();
+  await collection.updateOne(
+    { id: callSid },
+    {
+      $set: {
+        callStatus: status,
+        ...(duration !== null ? { duration } : {}),
+        ...(price !== null ? { price, priceUnit } : {}),
+        ...(answeredBy ? { answeredBy } : {}),
+        updatedAt: now,
+      },
+      $push: { statusEvents: { status, at: now } },
+      $setOnInsert: { callSid, ...initialFields(now) },
+    },
+    { upsert: true },
+  );
+  return stripMeta(await collection.findOne({ id: callSid }));
+}
+
+// The lead asked to be called another time; `when` is their words, verbatim.
+async function recordColdCallCallback(callSid, { when = '' } = {}) {
+  return patchColdCall(callSid, { callbackRequest: { when: when || null, requestedAt: new Date().toISOString() } });
+}
+
+// The conversation branches set the disposition as they end the call;
+// `ifUnset` is for late signals (status callbacks) that must not override them.
+async function setColdCallDisposition(callSid, disposition, { ifUnset = false } = {}) {
+  if (!DISPOSITIONS.includes(disposition)) return null;
+  return patchColdCall(callSid, (existing) => {
+    if (ifUnset && existing.disposition) return {};
+    return { disposition, endedAt: new Date().toISOString() };
+  });
+}
+
+async function findColdCall(id) {
+  const collection = await calls();
+  const row = await collection.findOne({ id });
+  return row ? stripMeta(row) : null;
+}
+
+// ?lead=<phone>&campaign=&disposition=&from=YYYY-MM-DD&to=YYYY-MM-DD, newest first.
+async function listColdCalls({
+  lead = '',
+  campaign = '',
+  disposition = '',
+  from = '',
+  to = '',
+  timezone: tz = DEFAULT_TIMEZONE,
+  limit = 100,
+} = {}) {
+  const collection = await calls();
+  const filter = {};
+  if (lead) filter.to = lead;
+  if (campaign) filter.campaign = campaign;
+  if (disposition) filter.disposition = disposition;
+  const start = from ? dayjs.tz(from, tz).startOf('day') : null;
+  const end = to ? dayjs.tz(to, tz).endOf('day') : null;
+  const rows = await collection.find(filter).toArray();
+  return rows
+    .filter((row) => {
+      const at = dayjs(row.createdAt);
+      return (!start || !at.isBefore(start)) && (!end || !at.isAfter(end));
+    })
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, Math.max(1, Math.min(500, Number(limit) || 100)))
+    .map(stripMeta);
+}
+
+module.exports = {
+  DISPOSITIONS,
+  startColdCall,
+  recordColdCallTurn,
+  recordColdCallLink,
+  recordColdCallTransfer,
+  finishColdCallTransfer,
+  recordColdCallCallback,
+  recordColdCallStatus,
+  setColdCallDisposition,
+  findColdCall,
+  listColdCalls,
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// Per-campaign cold-caller settings, from COLD_CALLER_CAMPAIGNS (JSON) or
+// data/cold-caller-campaigns.json. Campaigns only list what they change;
+// everything else comes from "default".
+//
+// voicemail: dropped when answering-machine detection reports a machine.
+//   message      TTS text ({{leadName}}, {{callbackNumber}}, {{link}})
+//   audioUrl     pre-recorded clip played instead of the message
+//   followUpSms  text sent after the drop; empty for none
+//   enabled      false hangs up without leaving anything
+const CAMPAIGNS_FILE = path.join(__dirname, '..', 'data', 'cold-caller-campaigns.json');
+
+const BUILT_IN_VOICEMAIL = {
+  enabled: true,
+  message: "Hi {{leadName}}, it's Alex with Delco Realty. Give us a call back at {{callbackNumber}} when you get a chance. Thanks!",
+  audioUrl: '',
+  followUpSms: '',
+};
+
+let cachedCampaigns = null;
+
+function loadCampaigns() {
+  if (cachedCampaigns) return cachedCampaigns;
+  let raw = {};
+  try {
+    raw = process.env.COLD_CALLER_CAMPAIGNS
+      ? JSON.parse(process.env.COLD_CALLER_CAMPAIGNS)
+      : JSON.parse(fs.readFileSync(CAMPAIGNS_FILE, 'utf8'));
+  } catch (error) {
+    console.error('[ColdCaller] Failed to load campaign config', error?.message || error);
+  }
+  cachedCampaigns = raw && typeof raw === 'object' ? raw : {};
+  return cachedCampaigns;
+}
+
+function findColdCallerCampaign(id = '') {
+  const campaigns = loadCampaigns();
+  const base = campaigns.default || {};
+  const campaign = (id && campaigns[id]) || {};
+  return {
+    id: id && campaigns[id] ? id : 'default',
+    voicemail: {
+      ...BUILT_IN_VOICEMAIL,
+      ...(base.voicemail || {}),
+      ...(campaign.voicemail || {}),
+    },
+  };
+}
+
+module.exports = {
+  findColdCallerCampaign,
+};
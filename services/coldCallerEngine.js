@@ -0,0 +1,127 @@
+// Optional chat-model turn handler for the cold caller (COLD_CALLER_ENGINE=llm).
+// Given the call so far it picks one constrained action and the next line to
+// say. Anything slow, malformed or off-menu returns null and the caller falls
+// back to the keyword rules.
+const ENGINE_MODEL = process.env.COLD_CALLER_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const ENGINE_TIMEOUT_MS = Math.max(250, Number(process.env.COLD_CALLER_LLM_TIMEOUT_MS || '1800'));
+const ENGINE_MAX_TURNS = Math.max(1, Number(process.env.COLD_CALLER_MAX_TURNS || '6'));
+const ACTIONS = ['speak', 'send_link', 'transfer', 'end', 'schedule_callback'];
+const INTENTS = ['buy', 'sell', 'invest', 'rent'];
+const LINE_MAX_LENGTH = 300;
+const TRANSCRIPT_TURNS = 20;
+
+function cleanLine(value, max = LINE_MAX_LENGTH) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+// Rejects after `ms` and aborts the request behind `promise`, so a slow model
+// call doesn't keep running (or retrying) after the call has moved on.
+function withTimeout(promise, ms, controller = null) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error('engine_timeout');
+      error.code = 'engine_timeout';
+      reject(error);
+      controller?.abort();
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function normalizeDecision(parsed = {}, { handoffAvailable }) {
+  const action = cleanLine(parsed.action, 40).toLowerCase();
+  const line = cleanLine(parsed.line);
+  if (!ACTIONS.includes(action)) return null;
+  if (!line && action === 'speak') return null;
+  if (action === 'transfer' && !handoffAvailable) return null;
+  const intent = cleanLine(parsed.intent, 20).toLowerCase();
+  return {
+    action,
+    line,
+    intent: INTENTS.includes(intent) ? intent : '',
+    callbackTime: action === 'schedule_callback' ? cleanLine(parsed.callbackTime || parsed.callback_time, 80) : '',
+  };
+}
+
+function transcriptText(turns = []) {
+  return turns
+    .slice(-TRANSCRIPT_TURNS)
+    .map(turn => `${turn.role === 'lead' ? 'Lead' : 'Alex'}: ${cleanLine(turn.text)}`)
+    .join('\n');
+}
+
+function createColdCallerEngine(openai, {
+  model = ENGINE_MODEL,
+  timeoutMs = ENGINE_TIMEOUT_MS,
+  maxTurns = ENGINE_MAX_TURNS,
+} = {}) {
+  const enabled = process.env.COLD_CALLER_ENGINE === 'llm'
+    && Boolean(process.env.OPENAI_API_KEY && openai?.chat?.completions);
+
+  async function decideWithModel({ turns, goal, campaign, leadName, handoffAvailable }) {
+    const controller = new AbortController();
+    const completion = await withTimeout(openai.chat.completions.create({
+      model,
+      temperature: 0.3,
+      max_tokens: 160,
+      response_format: { type: 'json_object' },
+      messages: [
+        {
+          role: 'system',
+          content: 'You are Alex, a friendly real-estate assistant with Delco Realty on a live outbound phone call. '
+            + 'Decide the next step and the one line Alex says next (under 30 words, plain speech, no lists or emojis). '
+            + 'Return JSON with keys action, line, intent, callbackTime. '
+            + 'action is one of: "speak" (keep talking, ask one question), "send_link" (text them the options link and wrap up), '
+            + `${handoffAvailable ? '"transfer" (connect them to a teammate now), ' : ''}`
+            + '"end" (they are not interested or asked us to stop; thank them and say goodbye), '
+            + '"schedule_callback" (they want a call at another time; confirm it). '
+            + 'intent: "buy", "sell", "invest", "rent" or "" if unclear. callbackTime: the time they asked for, verbatim, or "". '
+            + 'Never invent prices, listings or promises. If they ask to stop calling, choose "end".',
+        },
+        {
+          role: 'user',
+          content: [
+            goal ? `Call goal: ${goal}` : '',
+            campaign ? `Campaign: ${campaign}` : '',
+            leadName ? `Lead name: ${leadName}` : '',
+            'Call so far:',
+            transcriptText(turns) || '(nothing yet)',
+          ].filter(Boolean).join('\n'),
+        },
+      ],
+    }, { timeout: timeoutMs, maxRetries: 0, signal: controller.signal }), timeoutMs, controller);
+
+    const raw = completion.choices?.[0]?.message?.content || '';
+    return normalizeDecision(JSON.parse(raw.replace(/```json|```/g, '').trim()), { handoffAvailable });
+  }
+
+  // turns: [{ role: 'bot'|'lead', text }] including the lead's latest answer.
+  // Returns { action, line, intent, callbackTime, source } or null for the rules.
+  async function decide({ turns = [], turn = 0, goal = '', campaign = '', leadName = '', handoffAvailable = false } = {}) {
+    if (!enabled) return null;
+    if (turn >= maxTurns) {
+      return { action: 'send_link', line: '', intent: '', callbackTime: '', source: 'turn_limit' };
+    }
+    const started = Date.now();
+    try {
+      const decision = await decideWithModel({ turns, goal, campaign, leadName, handoffAvailable });
+      if (!decision) {
+        console.warn('[ColdCaller] Engine returned an unusable action, using rules');
+        return null;
+      }
+      console.info('[ColdCaller] Engine decision', { action: decision.action, intent: decision.intent, ms: Date.now() - started });
+      return { ...decision, source: 'openai' };
+    } catch (error) {
+      console.warn('[ColdCaller] Engine failed, using rules', { message: error?.message || error, ms: Date.now() - started });
+      return null;
+    }
+  }
+
+  return { enabled, decide };
+}
+
+module.exports = {
+  ACTIONS,
+  createColdCallerEngine,
+};
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const twilio = require('twilio');
+const { parseDelay } = require('./nudgeDrip');
+
+// Replays a scripted lead conversation against the app's own webhooks over
+// HTTP, so signature checks, the SMS flow, Calendly handling and the review /
+// nudge jobs all run for real. Time only moves through `advance` steps: the
+// scheduled jobs are run against a virtual clock for the simulated phone.
+const STEP_TYPES = ['missed_call', 'sms', 'calendly_booking', 'calendly_cancel', 'advance'];
+const SETTLE_INTERVAL_MS = 250;
+const SETTLE_TIMEOUT_MS = 8000;
+// A run is one admin HTTP request, so it stops at this deadline and returns
+// the steps that finished with error 'scenario_timeout'.
+const SCENARIO_TIMEOUT_MS = 60 * 1000;
+// Only reserved 555-01XX numbers, so a run can never reset a real lead.
+const TEST_NUMBER_PATTERN = /^\+1\d{3}55501\d{2}$/;
+
+class ScenarioError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.name = 'ScenarioError';
+    this.code = code;
+    this.status = 400;
+  }
+}
+
+function validateScenario(scenario) {
+  const steps = Array.isArray(scenario?.steps) ? scenario.steps : null;
+  if (!steps || !steps.length) throw new ScenarioError('steps_required', 'A scenario needs a steps array');
+  if (steps.length > 50) throw new ScenarioError('too_many_steps', 'Scenarios are limited to 50 steps');
+  steps.forEach((step, index) => {
+    if (!STEP_TYPES.includes(step?.type)) {
+      throw new ScenarioError('invalid_step', `Step ${index + 1}: type must be one of ${STEP_TYPES.join(', ')}`);
+    }
+    if (step.type === 'sms' && typeof step.body !== 'string') {
+      throw new ScenarioError('invalid_step', `Step ${index + 1}: sms steps need a body`);
+    }
+    if (step.type === 'advance' && !parseDelay(step.by)) {
+      throw new ScenarioError('invalid_step', `Step ${index + 1}: advance needs "by" like "30m", "3h" or "2d"`);
+    }
+    if (step.type === 'calendly_booking' && step.in && !parseDelay(step.in)) {
+      throw new ScenarioError('invalid_step', `Step ${index + 1}: "in" must look like "1d"`);
+    }
+  });
+  if (scenario.from !== undefined && !TEST_NUMBER_PATTERN.test(String(scenario.from))) {
+    throw new ScenarioError('invalid_from', 'from must be a 555-01XX test number like +12155550123');
+  }
+  return steps;
+}
+
+function testNumber() {
+  // 555-01XX numbers are reserved for fiction.
+  return `+1215555${String(100 + crypto.randomInt(0, 100)).padStart(4, '0')}`;
+}
+
+function twimlMessages(xml) {
+  return [...String(xml || '').matchAll(/<Message>([\s\S]*?)<\/Message>/g)]
+    .map(([, text]) => text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&'));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// deps: {
+//   baseUrl, authToken, to,
+//   resetPhone(phone), getMessages(phone), findLead(phone), getConversation(phone),
+//   runDueJobs({ phone, now }),
+// }
+async function runScenario(scenario, deps) {
+  const steps = validateScenario(scenario);
+  const deadline = Date.now() + SCENARIO_TIMEOUT_MS;
+  const phone = scenario.from || testNumber();
+  const to = scenario.to || deps.to;
+  let now = dayjs();
+  let callCount = 0;
+  let timedOut = false;
+  const transcript = [];
+  const results = [];
+
+  if (scenario.reset !== false) await deps.resetPhone(phone);
+
+  async function post(path, params, { json = false } = {}) {
+    const url = `${deps.baseUrl}${path}`;
+    const headers = { 'Content-Type': json ? 'application/json' : 'application/x-www-form-urlencoded' };
+    if (!json && deps.authToken) {
+      headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(deps.authToken, url, params);
+    }
+    const response = await fetch(url, {
+      method: 'POST',
+      signal: AbortSignal.timeout(Math.max(1, deadline - Date.now())),
+      headers,
+      body: json ? JSON.stringify(params) : new URLSearchParams(params).toString(),
+    });
+    return { status: response.status, text: await response.text() };
+  }
+
+  // Handlers keep texting after they respond, so wait until the thread stops growing.
+  async function settle() {
+    const started = Date.now();
+    let count = -1;
+    let stable = 0;
+    while (stable < 3 && Date.now() - started < SETTLE_TIMEOUT_MS && Date.now() < deadline) {
+      await sleep(SETTLE_INTERVAL_MS);
+      const next = (await deps.getMessages(phone)).length;
+      stable = next === count ? stable + 1 : 0;
+      count = next;
+    }
+  }
+
+  let seen = (await deps.getMessages(phone)).length;
+  let booking = null;
+
+  for (const [index, step] of steps.entries()) {
+    if (Date.now() >= deadline) {
+      timedOut = true;
+      break;
+    }
+    const result = { step: index + 1, type: step.type, at: now.toISOString() };
+
+    try {
+      if (step.type === 'missed_call') {
+        callCount += 1;
+        const response = await post('/voice/after', {
+          CallSid: `CAsim${crypto.randomBytes(13).toString('hex')}`,
+          From: phone,
+          To: to,
+          DialCallStatus: step.callStatus || 'no-answer',
+        });
+        result.status = response.status;
+      }
+
+      if (step.type === 'sms') {
+        const response = await post('/sms', {
+          MessageSid: `SMsim${crypto.randomBytes(13).toString('hex')}`,
+          From: phone,
+          To: to,
+          Body: step.body,
+        });
+        result.status = response.status;
+        result.replies = twimlMessages(response.text);
+      }
+
+      if (step.type === 'calendly_booking') {
+        const lead = parseDelay(step.in || '1d');
+        const start = step.start ? dayjs(step.start) : now.add(lead.amount, lead.unit);
+        const end = step.end ? dayjs(step.end) : start.add(Number(step.durationMinutes || 60), 'minute');
+        booking = { uri: `https://api.calendly.com/scheduled_events/sim-${crypto.randomUUID()}`, start, end };
+        const response = await post('/calendly/webhook', {
+          event: 'invitee.created',
+          payload: {
+            invitee: { text_reminder_number: phone },
+            event: { uri: booking.uri, start_time: start.toISOString(), end_time: end.toISOString() },
+          },
+        }, { json: true });
+        result.status = response.status;
+        result.appointment = { start: start.toISOString(), end: end.toISOString() };
+      }
+
+      if (step.type === 'calendly_cancel') {
+        const response = await post('/calendly/webhook', {
+          event: 'invitee.canceled',
+          payload: {
+            invitee: { text_reminder_number: phone },
+            event: { uri: booking?.uri || '' },
+          },
+        }, { json: true });
+        result.status = response.status;
+      }
+
+      if (step.type === 'advance') {
+        const delay = parseDelay(step.by);
+        now = now.add(delay.amount, delay.unit);
+        result.at = now.toISOString();
+        result.jobs = await deps.runDueJobs({ phone, now });
+      }
+    } catch (error) {
+      // A webhook still running at the deadline; report what finished.
+      if (error?.name !== 'TimeoutError') throw error;
+      timedOut = true;
+      break;
+    }
+
+    await settle();
+    const messages = await deps.getMessages(phone);
+    messages.slice(seen).forEach((message) => {
+      transcript.push({
+        step: index + 1,
+        at: result.at,
+        direction: message.direction,
+        body: message.body,
+        source: message.source || null,
+      });
+    });
+    seen = messages.length;
+    results.push(result);
+  }
+
+  return {
+    phone,
+    to,
+    calls: callCount,
+    steps: results,
+    transcript,
+    lead: await deps.findLead(phone),
+    conversation: await deps.getConversation(phone),
+    ...(timedOut ? { error: 'scenario_timeout', message: `Stopped after ${results.length} of ${steps.length} steps` } : {}),
+  };
+}
+
+module.exports = {
+  STEP_TYPES,
+  ScenarioError,
+  runScenario,
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { getCollection } = require('./mongo');
+const { normalizePhone } = require('./optOutRegistry');
+const { getTakeover, takeoverSummary, listTakeovers } = require('./takeover');
+
+// Every SMS to or from a lead, one row per message, grouped into threads by
+// phone number. Inbound rows stay unread until an operator opens or answers
+// the thread.
+const COLLECTION = 'sms_inbox';
+
+async function messages() {
+  return getCollection(COLLECTION);
+}
+
+async function recordMessage({ phone, direction, body, sid = null, business = null, source = null, operator = null, at = null }) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  const now = at || new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    phone: normalized,
+    direction,
+    body: String(body || ''),
+    sid,
+    business,
+    source,
+    operator,
+    at: now,
+    readAt: direction === 'inbound' ? null : now,
+  };
+  const collection = await messages();
+  await collection.insertOne(entry);
+  return entry;
+}
+
+function recordOutbound({ phone, body, sid, business, source, operator }) {
+  return recordMessage({ phone, direction: 'outbound', body, sid, business, source, operator });
+}
+
+function stripMeta({ _id, ...row }) {
+  return row;
+}
+
+async function listThreads({ business = '', unreadOnly = false, limit = 100 } = {}) {
+  const collection = await messages();
+  const rows = await collection.find(business ? { business } : {}).toArray();
+  const takeovers = new Map((await listTakeovers()).map(doc => [doc.phone, doc]));
+  const threads = new Map();
+  rows.forEach((row) => {
+    const thread = threads.get(row.phone) || { phone: row.phone, business: null, messageCount: 0, unread: 0, lastMessage: null };
+    thread.messageCount += 1;
+    if (row.direction === 'inbound' && !row.readAt) thread.unread += 1;
+    if (!thread.lastMessage || row.at > thread.lastMessage.at) {
+      thread.lastMessage = stripMeta(row);
+      thread.business = row.business || thread.business;
+    }
+    threads.set(row.phone, thread);
+  });
+  return [...threads.values()]
+    .filter(thread => !unreadOnly || thread.unread > 0)
+    .map(thread => ({
+      ...thread,
+      lastActivityAt: thread.lastMessage.at,
+      takeover: takeoverSummary(takeovers.get(thread.phone)),
+    }))
+    .sort((a, b) => String(b.lastActivityAt).localeCompare(String(a.lastActivityAt)))
+    .slice(0, Math.max(1, Math.min(500, Number(limit) || 100)));
+}
+
+async function getThread(phone) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  const collection = await messages();
+  const rows = await collection.find({ phone: normalized }).toArray();
+  if (!rows.length) return null;
+  const sorted = rows.sort((a, b) => String(a.at).localeCompare(String(b.at))).map(stripMeta);
+  return {
+    phone: normalized,
+    business: [...sorted].reverse().find(row => row.business)?.business || null,
+    unread: sorted.filter(row => row.direction === 'inbound' && !row.readAt).length,
+    takeover: takeoverSummary(await getTakeover(normalized)),
+    messages: sorted,
+  };
+}
+
+async function markThreadRead(phone) {
+  const normalized = normalizePhone(phone);
+  const collection = await messages();
+  const unread = await collection.find({ phone: normalized, direction: 'inbound', readAt: null }).toArray();
+  const now = new Date().toISOString();
+  for (const row of unread) {
+    await collection.updateOne({ id: row.id }, { $set: { readAt: now } });
+  }
+  return unread.length;
+}
+
+module.exports = {
+  recordMessage,
+  recordOutbound,
+  listThreads,
+  getThread,
+  markThreadRead,
+};
@@ -0,0 +1,205 @@
+// Pulls structured lead details (name, need, urgency, address, preferred time)
+// out of free-form SMS replies. Uses the chat model when OPENAI_API_KEY is set
+// and always falls back to deterministic rules.
+const EXTRACTION_MODEL = process.env.OPENAI_EXTRACTION_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const EXTRACTION_TIMEOUT_MS = Math.max(250, Number(process.env.LEAD_EXTRACTION_TIMEOUT_MS || '2500'));
+const FIELDS = ['name', 'need', 'urgency', 'address', 'preferred_time'];
+
+const NAME_STOPWORDS = new Set([
+  'a', 'an', 'the', 'just', 'not', 'so', 'very', 'really', 'here', 'there', 'calling', 'looking',
+  'having', 'interested', 'trying', 'wondering', 'texting', 'back', 'busy', 'fine', 'good', 'ok',
+  'okay', 'sorry', 'available', 'free', 'in', 'at', 'on', 'about', 'going', 'getting', 'still',
+  'my', 'your', 'it', 'that', 'this', 'urgent', 'emergency', 'leaking', 'broken', 'done',
+  'yes', 'yeah', 'yep', 'no', 'nope', 'hi', 'hey', 'hello', 'thanks', 'thank', 'stop', 'help',
+  'me', 'its', 'im', 'is', "i'm", 'i', 'am', 'for', 'with', 'from', 'to', 'of', 'out', 'up', 'over',
+  'by', 'near', 'around', 'after', 'before', 'need', 'needing', 'want', 'wanting', 'asking', 'hoping',
+  'reaching', 'writing', 'following', 'moving', 'buying', 'selling', 'renting', 'glad', 'happy', 'sure',
+  'ready', 'new', 'home', 'trouble',
+]);
+
+const NEED_KEYWORDS = /(leak|heater|furnace|boiler|\bac\b|a\/c|air condition|hvac|heat|cool|duct|pipe|drain|clog|toilet|faucet|sewer|plumb|repair|fix|broken|install|replace|quote|estimate|maintenance|tune|inspect|clean|tooth|teeth|dental|crown|filling|pain|whiten|implant|braces|buy|sell|rent|lease|invest|house|home|listing|lawyer|attorney|accident|injur|divorce|custody|dui|arrest|estate|will|paint|roof|deck|drywall|need|help with|looking for|want)/i;
+const EMERGENCY_PATTERN = /(emergency|asap|urgent|right away|immediately|right now|flood|burst|leaking bad|no heat|no ac|no a\/c|no hot water|gas smell|smell gas|sparking|severe|bleeding|can'?t wait)/i;
+const SOON_PATTERN = /(today|tonight|tomorrow|this week|soon|this weekend)/i;
+const ADDRESS_PATTERN = /\b\d{1,6}\s+(?:[NSEW]\.?\s+)?(?:[A-Za-z0-9'.-]+\s){0,4}(?:st|street|ave|avenue|rd|road|ln|lane|dr|drive|blvd|boulevard|ct|court|way|pl|place|pike|cir|circle|ter|terrace|hwy|highway|pkwy|parkway)\b\.?(?:,?\s*(?:apt|unit|#)\s*[\w-]+)?(?:,\s*[A-Za-z .'-]+)?(?:,?\s*[A-Z]{2}\b)?(?:\s*\d{5})?/i;
+const TIME_PATTERN = /\b(?:(?:today|tonight|tomorrow|this (?:morning|afternoon|evening|week|weekend)|next week|(?:next |this )?(?:mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?|sun)(?:day)?|\d{1,2}\/\d{1,2})(?:\s+(?:morning|afternoon|evening|night))?(?:\s*(?:at|@|around|after|before)?\s*\d{1,2}(?::\d{2})?\s*(?:am|pm)?)?|(?:at|@|around|after|before)\s+\d{1,2}(?::\d{2})?\s*(?:am|pm)|\d{1,2}(?::\d{2})?\s*(?:am|pm))\b/i;
+// The intro phrase is case-insensitive; the captured words are checked for a
+// capital letter separately so "I'm looking for…" never reads as a name.
+const NAME_INTRO_PATTERN = /\b(?:my name is|my name's|name is|this is|it'?s|it is|i'?m|i am|im)\s+([a-z][a-z'-]+(?:\s+[a-z][a-z'-]+)?)/gi;
+const NAME_WORD_PATTERN = /^[A-Z][a-z'-]*[a-z]$/;
+
+function titleCase(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/(^|[\s'-])([a-z])/g, (_, sep, ch) => `${sep}${ch.toUpperCase()}`);
+}
+
+function cleanText(value, max = 240) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  if (!text || /^(null|none|n\/a|unknown)$/i.test(text)) return null;
+  return text.slice(0, max);
+}
+
+function emptyResult() {
+  return FIELDS.reduce((acc, key) => ({ ...acc, [key]: null }), {});
+}
+
+function isNameWord(word) {
+  return Boolean(word) && !NAME_STOPWORDS.has(word.toLowerCase());
+}
+
+// One to three words that aren't verbs, prepositions or filler.
+function isPlausibleName(value) {
+  const words = String(value || '').trim().split(/\s+/).filter(Boolean);
+  return words.length >= 1
+    && words.length <= 3
+    && words.every(word => /^[a-z][a-z'-]*$/i.test(word) && isNameWord(word));
+}
+
+function nameFromIntro(text) {
+  for (const match of text.matchAll(NAME_INTRO_PATTERN)) {
+    const [first, second] = match[1].split(/\s+/);
+    if (!NAME_WORD_PATTERN.test(first) || !isNameWord(first)) continue;
+    // Only keep the second word when it looks like a surname, not the next clause.
+    return second && NAME_WORD_PATTERN.test(second) && isNameWord(second) ? `${first} ${second}` : first;
+  }
+  return null;
+}
+
+function extractName(text, expect) {
+  const intro = nameFromIntro(text);
+  if (intro) return titleCase(intro);
+
+  if (expect === 'name') {
+    const allWords = text.replace(/[^a-z\s'-]/gi, ' ').trim().split(/\s+/).filter(Boolean);
+    const words = allWords.filter(isNameWord);
+    const plausible = allWords.length <= 5
+      && isPlausibleName(words.join(' '))
+      && !NEED_KEYWORDS.test(text)
+      && !ADDRESS_PATTERN.test(text)
+      && !/\d/.test(text);
+    if (plausible) return titleCase(words.join(' '));
+  }
+  return null;
+}
+
+function extractNeed(text, { name, expect }) {
+  let remainder = text;
+  if (name) {
+    // Drop the intro and the name itself; any word after the name stays.
+    remainder = remainder.replace(NAME_INTRO_PATTERN, (match, words) => (
+      titleCase(words).startsWith(name) ? ` ${words.slice(name.length)} ` : match
+    ));
+  }
+  remainder = remainder
+    .replace(ADDRESS_PATTERN, ' ')
+    .replace(TIME_PATTERN, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^\s*(?:hey|hi|hello|yo|good (?:morning|afternoon|evening))\b[\s,!.]*/i, '')
+    .replace(/^[\s,.;:!-]+|[\s,.;:!-]+$/g, '')
+    .replace(/\s+(?:at|on|in|by|for|around|near)$/i, '')
+    .trim();
+  if (!remainder) return null;
+  const wordCount = remainder.split(/\s+/).length;
+  if (NEED_KEYWORDS.test(remainder)) return cleanText(remainder);
+  if (expect === 'need' && wordCount >= 2) return cleanText(remainder);
+  return null;
+}
+
+function extractWithRules(body, { expect } = {}) {
+  const text = String(body || '').replace(/\s+/g, ' ').trim();
+  const result = emptyResult();
+  if (!text) return result;
+
+  result.name = extractName(text, expect);
+  result.need = extractNeed(text, { name: result.name, expect });
+  if (EMERGENCY_PATTERN.test(text)) {
+    result.urgency = 'emergency';
+  } else if (SOON_PATTERN.test(text)) {
+    result.urgency = 'soon';
+  }
+  result.address = cleanText(text.match(ADDRESS_PATTERN)?.[0]);
+  result.preferred_time = cleanText(text.match(TIME_PATTERN)?.[0], 80);
+  return result;
+}
+
+function normalizeModelResult(parsed = {}) {
+  const result = emptyResult();
+  result.name = cleanText(parsed.name, 60);
+  result.name = isPlausibleName(result.name) ? titleCase(result.name) : null;
+  result.need = cleanText(parsed.need);
+  const urgency = cleanText(parsed.urgency, 20)?.toLowerCase();
+  result.urgency = ['emergency', 'soon', 'routine'].includes(urgency) ? urgency : null;
+  result.address = cleanText(parsed.address);
+  result.preferred_time = cleanText(parsed.preferred_time || parsed.preferredTime, 80);
+  return result;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error('extraction_timeout');
+      error.code = 'extraction_timeout';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createLeadExtractor(openai, { model = EXTRACTION_MODEL, timeoutMs = EXTRACTION_TIMEOUT_MS } = {}) {
+  const useModel = Boolean(process.env.OPENAI_API_KEY && openai?.chat?.completions);
+
+  async function extractWithModel(body, { expect, business } = {}) {
+    const completion = await withTimeout(openai.chat.completions.create({
+      model,
+      temperature: 0,
+      max_tokens: 200,
+      response_format: { type: 'json_object' },
+      messages: [
+        {
+          role: 'system',
+          content: 'You extract lead details from a customer text message sent to a local service business. '
+            + 'Return JSON with keys name, need, urgency, address, preferred_time. '
+            + 'name: the customer\'s first (and last, if given) name only. need: a short description of the service they want. '
+            + 'urgency: "emergency", "soon" or "routine". preferred_time: the day/time phrase they asked for, verbatim. '
+            + 'Use null for anything not stated. Never guess.',
+        },
+        {
+          role: 'user',
+          content: [
+            business ? `Business: ${business}` : '',
+            expect ? `We just asked the customer for: ${expect}` : '',
+            `Message: ${String(body || '').slice(0, 600)}`,
+          ].filter(Boolean).join('\n'),
+        },
+      ],
+    }), timeoutMs);
+
+    const raw = completion.choices?.[0]?.message?.content || '';
+    return normalizeModelResult(JSON.parse(raw.replace(/```json|```/g, '').trim()));
+  }
+
+  async function extract(body, options = {}) {
+    const rules = extractWithRules(body, options);
+    if (!useModel || !String(body || '').trim()) {
+      return { ...rules, source: 'rules' };
+    }
+    try {
+      const fromModel = await extractWithModel(body, options);
+      // The model wins where it answered; rules fill anything it left empty.
+      const merged = FIELDS.reduce((acc, key) => ({ ...acc, [key]: fromModel[key] ?? rules[key] }), {});
+      return { ...merged, source: 'openai' };
+    } catch (error) {
+      console.warn('[LeadExtraction] Model extraction failed, using rules', { message: error?.message || error });
+      return { ...rules, source: 'rules' };
+    }
+  }
+
+  return { extract };
+}
+
+module.exports = {
+  createLeadExtractor,
+  extractWithRules,
+  isPlausibleName,
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { LEAD_FIELDS, normalizeLead, mergeLead, filterLeads } = require('./leadFields');
+
+// Local file adapter for offline development: a JSON array of leads, or a CSV
+// with a header row (LEAD_FIELDS first, extra fields appended as they appear).
+function csvEscape(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(Boolean));
+}
+
+function toCsv(leads) {
+  const header = [...LEAD_FIELDS];
+  leads.forEach((lead) => {
+    Object.keys(lead).forEach((key) => {
+      if (!header.includes(key)) header.push(key);
+    });
+  });
+  const lines = [header.join(',')];
+  leads.forEach(lead => lines.push(header.map(key => csvEscape(lead[key])).join(',')));
+  return `${lines.join('\n')}\n`;
+}
+
+function createFileLeadRepository({ filePath, format = 'json' }) {
+  let queue = Promise.resolve();
+
+  // Reads and writes go through one queue so concurrent upserts don't lose rows.
+  function serialize(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function readLeads() {
+    let text;
+    try {
+      text = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    if (!text.trim()) return [];
+    if (format === 'csv') {
+      const [header = [], ...rows] = parseCsv(text);
+      // Blank cells in extra columns mean "not set" for that lead.
+      return rows.map(row => normalizeLead(Object.fromEntries(header
+        .map((key, index) => [key, row[index] ?? ''])
+        .filter(([key, value]) => value !== '' || LEAD_FIELDS.includes(key)))));
+    }
+    return JSON.parse(text).map(normalizeLead);
+  }
+
+  async function writeLeads(leads) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    const contents = format === 'csv' ? toCsv(leads) : JSON.stringify(leads, null, 2);
+    await fs.promises.writeFile(tmp, contents);
+    await fs.promises.rename(tmp, filePath);
+  }
+
+  function findAll(filter = {}) {
+    return serialize(async () => filterLeads(await readLeads(), filter));
+  }
+
+  function findByPhone(phone) {
+    return serialize(async () => (await readLeads()).find(lead => lead.phone === phone) || null);
+  }
+
+  function upsertByPhone(phone, patch = {}) {
+    return serialize(async () => {
+      const leads = await readLeads();
+      const index = leads.findIndex(lead => lead.phone === phone);
+      const lead = mergeLead(index === -1 ? null : leads[index], phone, patch);
+      if (index === -1) {
+        leads.push(lead);
+      } else {
+        leads[index] = lead;
+      }
+      await writeLeads(leads);
+      return lead;
+    });
+  }
+
+  return {
+    driver: 'file',
+    key: `file:${filePath}`,
+    upsertByPhone,
+    findByPhone,
+    findAll,
+  };
+}
+
+module.exports = createFileLeadRepository;
@@ -0,0 +1,70 @@
+const path = require('path');
+const { LEAD_FIELDS, normalizeLead } = require('./leadFields');
+const createSheetsLeadRepository = require('./sheetsLeadRepository');
+const createMongoLeadRepository = require('./mongoLeadRepository');
+const createFileLeadRepository = require('./fileLeadRepository');
+
+// LeadRepository: where missed-call leads live. Every adapter implements
+//   upsertByPhone(phone, patch) -> lead
+//   findByPhone(phone)          -> lead | null
+//   findAll({ status })         -> lead[]
+// with the same rules: leads match on the exact phone string, new leads get a
+// timestamp and status "opened", and null/undefined patch values never
+// overwrite what's stored. Leads are plain objects with LEAD_FIELDS always
+// present ('' when unknown) plus any extra fields the adapter can keep.
+// Shared helpers live in ./leadFields.
+const DRIVERS = ['sheets', 'mongo', 'file'];
+const LEAD_FILE_DIR = process.env.LEAD_FILE_DIR || path.join(__dirname, '..', '..', 'data', 'leads');
+
+const repositories = new Map();
+let warnedAboutDefault = false;
+
+function defaultDriver() {
+  const configured = String(process.env.LEAD_STORE || '').trim().toLowerCase();
+  if (DRIVERS.includes(configured)) return configured;
+  if (process.env.GOOGLE_SHEETS_ID) return 'sheets';
+  // Without a sheet configured, keep leads on disk rather than dropping them,
+  // but say so: on most hosts that disk doesn't survive a deploy.
+  if (!warnedAboutDefault) {
+    warnedAboutDefault = true;
+    console.warn(
+      `[Leads] ${configured ? `Unknown LEAD_STORE "${configured}" and no` : 'No LEAD_STORE or'} GOOGLE_SHEETS_ID set. `
+      + `Leads are saved to local files in ${LEAD_FILE_DIR} and may be lost on redeploy. Set LEAD_STORE=file to silence this.`
+    );
+  }
+  return 'file';
+}
+
+function createLeadRepository({ driver = defaultDriver(), business = null } = {}) {
+  const scope = business?.id || 'default';
+  if (driver === 'sheets') {
+    return createSheetsLeadRepository({ sheetId: business?.sheetId || process.env.GOOGLE_SHEETS_ID });
+  }
+  if (driver === 'mongo') {
+    return createMongoLeadRepository({ business: scope });
+  }
+  if (driver === 'file') {
+    const format = String(process.env.LEAD_FILE_FORMAT || 'json').toLowerCase() === 'csv' ? 'csv' : 'json';
+    return createFileLeadRepository({ filePath: path.join(LEAD_FILE_DIR, `${scope}.${format}`), format });
+  }
+  const error = new Error(`Unknown lead store "${driver}"`);
+  error.code = 'invalid_lead_store';
+  throw error;
+}
+
+// One repository per storage target; businesses that share a target share it.
+function getLeadRepository(business = null) {
+  const driver = business?.leadStore || defaultDriver();
+  const repository = createLeadRepository({ driver, business });
+  if (!repositories.has(repository.key)) repositories.set(repository.key, repository);
+  return repositories.get(repository.key);
+}
+
+module.exports = {
+  LEAD_FIELDS,
+  DRIVERS,
+  defaultDriver,
+  normalizeLead,
+  createLeadRepository,
+  getLeadRepository,
+};
@@ -0,0 +1,41 @@
+const dayjs = require('dayjs');
+
+// Lead shape and upsert rules shared by every LeadRepository adapter.
+const LEAD_FIELDS = ['timestamp', 'phone', 'name', 'need', 'status', 'appt_start', 'appt_end', 'calendly_event'];
+
+function leadTimestamp() {
+  return dayjs().format('YYYY-MM-DD HH:mm:ss');
+}
+
+function normalizeLead(raw = {}) {
+  const lead = {};
+  LEAD_FIELDS.forEach((key) => {
+    lead[key] = raw[key] === undefined || raw[key] === null ? '' : raw[key];
+  });
+  Object.entries(raw).forEach(([key, value]) => {
+    if (!(key in lead) && key !== '_id' && value !== undefined) lead[key] = value;
+  });
+  return lead;
+}
+
+// The shared upsert rule, used by adapters that store whole lead objects.
+function mergeLead(existing, phone, patch = {}) {
+  const merged = existing ? { ...existing } : { timestamp: leadTimestamp(), phone, status: 'opened' };
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) merged[key] = value;
+  });
+  merged.phone = merged.phone || phone;
+  return normalizeLead(merged);
+}
+
+function filterLeads(leads, { status } = {}) {
+  return status ? leads.filter(lead => lead.status === status) : leads;
+}
+
+module.exports = {
+  LEAD_FIELDS,
+  leadTimestamp,
+  normalizeLead,
+  mergeLead,
+  filterLeads,
+};
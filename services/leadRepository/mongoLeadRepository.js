@@ -0,0 +1,57 @@
+const { getCollection } = require('../mongo');
+const { normalizeLead, mergeLead, filterLeads } = require('./leadFields');
+
+// Mongo adapter (or the JSON fallback store via getCollection): the `leads`
+// collection, one document per business + phone. Keeps every patched field.
+const COLLECTION = 'leads';
+
+function createMongoLeadRepository({ business = 'default' } = {}) {
+  async function leads() {
+    return getCollection(COLLECTION);
+  }
+
+  async function findByPhone(phone) {
+    const collection = await leads();
+    const doc = await collection.findOne({ business, phone });
+    return doc ? normalizeLead(stripMeta(doc)) : null;
+  }
+
+  async function findAll(filter = {}) {
+    const collection = await leads();
+    const docs = await collection.find({ business }).toArray();
+    return filterLeads(
+      docs
+        .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')))
+        .map(doc => normalizeLead(stripMeta(doc))),
+      filter,
+    );
+  }
+
+  async function upsertByPhone(phone, patch = {}) {
+    const collection = await leads();
+    const existing = await collection.findOne({ business, phone });
+    const lead = mergeLead(existing ? stripMeta(existing) : null, phone, patch);
+    const now = new Date().toISOString();
+    await collection.updateOne(
+      { business, phone },
+      { $set: { ...lead, updatedAt: now }, $setOnInsert: { createdAt: now } },
+      { upsert: true },
+    );
+    return lead;
+  }
+
+  return {
+    driver: 'mongo',
+    key: `mongo:${business}`,
+    upsertByPhone,
+    findByPhone,
+    findAll,
+  };
+}
+
+function stripMeta(doc) {
+  const { _id, business, createdAt, updatedAt, ...lead } = doc;
+  return lead;
+}
+
+module.exports = createMongoLeadRepository;
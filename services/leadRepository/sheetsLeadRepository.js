@@ -0,0 +1,37 @@
+const sheets = require('../sheets');
+const { normalizeLead, filterLeads } = require('./leadFields');
+
+// Google Sheets adapter: one row per lead in Sheet1, columns mapped by the
+// header row (new fields get their own column).
+function toLead({ _row, ...record } = {}) {
+  return normalizeLead(record);
+}
+
+function createSheetsLeadRepository({ sheetId }) {
+  const target = { sheetId };
+
+  async function findAll(filter = {}) {
+    const records = await sheets.findAll(target);
+    const leads = records.map(toLead).filter(lead => lead.phone);
+    return filterLeads(leads, filter);
+  }
+
+  async function findByPhone(phone) {
+    const leads = await findAll();
+    return leads.find(lead => lead.phone === phone) || null;
+  }
+
+  async function upsertByPhone(phone, patch = {}) {
+    return toLead(await sheets.upsertByPhone(phone, patch, target));
+  }
+
+  return {
+    driver: 'sheets',
+    key: `sheets:${sheetId || ''}`,
+    upsertByPhone,
+    findByPhone,
+    findAll,
+  };
+}
+
+module.exports = createSheetsLeadRepository;
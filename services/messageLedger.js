@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { getCollection } = require('./mongo');
+
+// Ledger of every outbound SMS, keyed by Twilio MessageSid. Twilio's
+// StatusCallback moves each entry through its lifecycle; transient carrier
+// failures are queued for a limited number of retries.
+const COLLECTION = 'sms_messages';
+const STATUS_RANK = {
+  accepted: 0,
+  scheduled: 0,
+  queued: 0,
+  sending: 1,
+  sent: 2,
+  receiving: 2,
+  received: 3,
+  delivered: 3,
+  undelivered: 3,
+  failed: 3,
+  canceled: 3,
+  read: 4,
+};
+const FINAL_STATUSES = ['delivered', 'undelivered', 'failed', 'canceled', 'read'];
+// Queue overflow, unknown/carrier errors, missing segments, congestion, rate limits.
+const TRANSIENT_ERROR_CODES = ['30001', '30008', '30009', '30017', '30022'];
+const MAX_RETRIES = Math.max(0, Number(process.env.SMS_RETRY_MAX ?? '2'));
+const RETRY_BASE_DELAY_MS = Math.max(1000, Number(process.env.SMS_RETRY_DELAY_MS || `${5 * 60 * 1000}`));
+
+function hashBody(body) {
+  return crypto.createHash('sha256').update(String(body || '')).digest('hex');
+}
+
+function campaignFor(context = {}) {
+  return String(context.campaign || context.source || 'unspecified');
+}
+
+async function recordOutbound({ message, to, body, context = {}, twilioOptions = {} }) {
+  if (!message?.sid) return null;
+  const collection = await getCollection(COLLECTION);
+  const now = new Date().toISOString();
+  const status = message.status || 'queued';
+  const entry = {
+    sid: message.sid,
+    to: message.to || to,
+    from: message.from || null,
+    messagingServiceSid: message.messagingServiceSid || null,
+    bodyHash: hashBody(body),
+    bodyLength: String(body || '').length,
+    segments: Number(message.numSegments || 0) || null,
+    context,
+    source: context.source || null,
+    campaign: campaignFor(context),
+    business: context.business || null,
+    status,
+    statusHistory: [{ status, at: now }],
+    errorCode: null,
+    errorMessage: null,
+    attempt: Number(context.retryAttempt || 0) + 1,
+    retryOf: context.retryOf || null,
+    // Only kept while a retry is still possible; cleared once the message settles.
+    retryBody: MAX_RETRIES > 0 ? String(body || '') : null,
+    // The sender/media options the message went out with, so a retry matches it.
+    retryOptions: MAX_RETRIES > 0 ? { ...twilioOptions } : null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await collection.insertOne(entry);
+  return entry;
+}
+
+function isTransientFailure(status, errorCode) {
+  return ['undelivered', 'failed'].includes(status) && TRANSIENT_ERROR_CODES.includes(String(errorCode || ''));
+}
+
+// Applies a StatusCallback. Callbacks can arrive out of order, so a status
+// never moves an entry backwards (e.g. a late "sent" after "delivered").
+async function updateStatus(sid, { status, errorCode = null, errorMessage = null } = {}) {
+  const collection = await getCollection(COLLECTION);
+  const entry = await collection.findOne({ sid });
+  if (!entry || !status) return null;
+
+  const now = new Date().toISOString();
+  const history = [...(entry.statusHistory || []), { status, at: now, ...(errorCode ? { errorCode: String(errorCode) } : {}) }];
+  const forward = (STATUS_RANK[status] ?? 0) >= (STATUS_RANK[entry.status] ?? 0);
+  const patch = { statusHistory: history, updatedAt: now };
+
+  if (forward) {
+    patch.status = status;
+    if (errorCode) {
+      patch.errorCode = String(errorCode);
+      patch.errorMessage = errorMessage || null;
+    }
+    if (status === 'delivered') patch.deliveredAt = now;
+    if (FINAL_STATUSES.includes(status)) {
+      const retry = isTransientFailure(status, errorCode) && entry.attempt <= MAX_RETRIES && !entry.retriedAs;
+      patch.retryAt = retry ? new Date(Date.now() + RETRY_BASE_DELAY_MS * entry.attempt).toISOString() : null;
+      if (!retry) {
+        patch.retryBody = null;
+        patch.retryOptions = null;
+      }
+    }
+  }
+
+  await collection.updateOne({ sid }, { $set: patch });
+  return collection.findOne({ sid });
+}
+
+// Re-sends due transient failures through `send` (sendSMS), linking the new
+// message to the original.
+async function retryDueMessages({ send, now = Date.now() }) {
+  const collection = await getCollection(COLLECTION);
+  const rows = await collection.find({ retryAt: { $ne: null, $lte: new Date(now).toISOString() } }).toArray();
+  const due = rows.filter(row => !row.retriedAs);
+  let retried = 0;
+
+  for (const row of due) {
+    // Claim first so overlapping sweeps don't double-send.
+    const claim = await collection.updateOne(
+      { sid: row.sid, retryAt: row.retryAt },
+      { $set: { retryAt: null, retryBody: null, retryOptions: null, updatedAt: new Date().toISOString() } },
+    );
+    if (!claim?.modifiedCount || !row.retryBody) continue;
+    try {
+      const message = await send(row.to, row.retryBody, {
+        ...row.context,
+        retryOf: row.retryOf || row.sid,
+        retryAttempt: row.attempt,
+      }, row.retryOptions || {});
+      await collection.updateOne({ sid: row.sid }, { $set: { retriedAs: message?.sid || null } });
+      retried += 1;
+    } catch (error) {
+      console.warn('[SMS] Retry failed', { sid: row.sid, message: error?.message || error, code: error?.code });
+      await collection.updateOne({ sid: row.sid }, { $set: { retryError: error?.code || error?.message || 'retry_failed' } });
+    }
+  }
+  return retried;
+}
+
+async function listMessages({ phone = '', campaign = '', limit = 100 } = {}) {
+  const collection = await getCollection(COLLECTION);
+  const filter = {};
+  if (phone) filter.to = phone;
+  if (campaign) filter.campaign = campaign;
+  const rows = await collection.find(filter).toArray();
+  return rows
+    .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
+    .slice(0, Math.max(1, Math.min(500, Number(limit) || 100)))
+    .map(({ retryBody, retryOptions, ...row }) => row);
+}
+
+async function findMessage(sid) {
+  const collection = await getCollection(COLLECTION);
+  const row = await collection.findOne({ sid });
+  if (!row) return null;
+  const { retryBody, retryOptions, ...rest } = row;
+  return rest;
+}
+
+// Counts by final outcome. Retries count as their own messages, so
+// `recovered` shows how many failed first attempts were later delivered.
+function summarize(rows) {
+  const byStatus = {};
+  const errors = {};
+  rows.forEach((row) => {
+    byStatus[row.status] = (byStatus[row.status] || 0) + 1;
+    if (row.errorCode) errors[row.errorCode] = (errors[row.errorCode] || 0) + 1;
+  });
+  const delivered = (byStatus.delivered || 0) + (byStatus.read || 0);
+  const failed = (byStatus.failed || 0) + (byStatus.undelivered || 0);
+  const settled = delivered + failed;
+  const deliveredSids = new Set(rows.filter(row => ['delivered', 'read'].includes(row.status)).map(row => row.sid));
+  return {
+    total: rows.length,
+    delivered,
+    failed,
+    pending: rows.length - settled - (byStatus.canceled || 0),
+    deliveryRate: settled ? Math.round((delivered / settled) * 1000) / 10 : null,
+    retries: rows.filter(row => row.retryOf).length,
+    recovered: rows.filter(row => row.retryOf && deliveredSids.has(row.sid)).length,
+    byStatus,
+    errors,
+  };
+}
+
+async function deliveryStats({ phone = '', campaign = '', groupBy = '' } = {}) {
+  const collection = await getCollection(COLLECTION);
+  const filter = {};
+  if (phone) filter.to = phone;
+  if (campaign) filter.campaign = campaign;
+  const rows = await collection.find(filter).toArray();
+  if (!['campaign', 'to'].includes(groupBy)) return summarize(rows);
+
+  const groups = {};
+  rows.forEach((row) => {
+    const key = row[groupBy] || 'unspecified';
+    (groups[key] = groups[key] || []).push(row);
+  });
+  return Object.fromEntries(Object.entries(groups).map(([key, items]) => [key, summarize(items)]));
+}
+
+module.exports = {
+  TRANSIENT_ERROR_CODES,
+  hashBody,
+  recordOutbound,
+  updateStatus,
+  retryDueMessages,
+  listMessages,
+  findMessage,
+  deliveryStats,
+};
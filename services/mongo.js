@@ -31,7 +31,7 @@ try {
 
 let clientPromise = null;
 let cachedDb = null;
-const fallbackDir = path.join(__dirname, '..', 'data', 'mongo-fallback');
+const fallbackDir = process.env.MONGO_FALLBACK_DIR || path.join(__dirname, '..', 'data', 'mongo-fallback');
 
 async function connect(){
   if (!MongoClient){
@@ -80,6 +80,29 @@ function writeFallback(name, docs){
   fs.writeFileSync(file, JSON.stringify(docs, null, 2));
 }
 
+// Dates are stored as ISO strings in the JSON files, so compare them by time.
+function comparable(value){
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value)){
+    return Date.parse(value);
+  }
+  return value;
+}
+
+const OPERATORS = {
+  // Like Mongo, { $ne: null } also skips documents without the field.
+  $ne: (actual, expected) => (expected === null ? actual !== undefined && actual !== null : actual !== expected),
+  $lt: (actual, expected) => actual !== undefined && actual !== null && comparable(actual) < comparable(expected),
+  $lte: (actual, expected) => actual !== undefined && actual !== null && comparable(actual) <= comparable(expected),
+  $gt: (actual, expected) => actual !== undefined && actual !== null && comparable(actual) > comparable(expected),
+  $gte: (actual, expected) => actual !== undefined && actual !== null && comparable(actual) >= comparable(expected),
+};
+
+function isOperatorObject(value){
+  return Boolean(value) && typeof value === 'object' && !(value instanceof Date)
+    && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
 function matchDoc(doc, filter){
   return Object.keys(filter).every(key => {
     if (key === '_id'){
@@ -88,10 +111,27 @@ function matchDoc(doc, filter){
       const filterId = val?.toString?.() || val;
       return docId === filterId;
     }
+    if (isOperatorObject(filter[key])){
+      return Object.keys(filter[key]).every(op => {
+        if (!OPERATORS[op]) throw new Error(`[mongo] Unsupported query operator in file fallback: ${op}`);
+        return OPERATORS[op](doc[key], filter[key][op]);
+      });
+    }
     return doc[key] === filter[key];
   });
 }
 
+function applyUpdate(doc, update = {}){
+  const next = { ...doc, ...(update.$set || {}) };
+  Object.entries(update.$push || {}).forEach(([key, value]) => {
+    next[key] = [...(Array.isArray(next[key]) ? next[key] : []), value];
+  });
+  Object.keys(update.$unset || {}).forEach(key => {
+    delete next[key];
+  });
+  return next;
+}
+
 function createFileCollection(name){
   return {
     async findOne(filter){
@@ -106,22 +146,29 @@ function createFileCollection(name){
       writeFallback(name, docs);
       return { insertedId: _id };
     },
-    async updateOne(filter, update){
+    async updateOne(filter, update, options = {}){
       const docs = readFallback(name);
       let modified = false;
       const updatedDocs = docs.map(doc => {
-        if (matchDoc(doc, filter)){
+        if (!modified && matchDoc(doc, filter)){
           modified = true;
-          if (update.$set){
-            return { ...doc, ...update.$set };
-          }
+          return applyUpdate(doc, update);
         }
         return doc;
       });
       if (modified){
         writeFallback(name, updatedDocs);
+        return { modifiedCount: 1, upsertedId: null };
       }
-      return { modifiedCount: modified ? 1 : 0 };
+      if (options.upsert){
+        const seed = { ...filter, ...(update.$setOnInsert || {}) };
+        const record = applyUpdate(seed, update);
+        if (!record._id) record._id = crypto.randomUUID();
+        docs.push(record);
+        writeFallback(name, docs);
+        return { modifiedCount: 0, upsertedId: record._id };
+      }
+      return { modifiedCount: 0, upsertedId: null };
     },
     async deleteOne(filter){
       const docs = readFallback(name);
@@ -129,6 +176,12 @@ function createFileCollection(name){
       writeFallback(name, remaining);
       return { deletedCount: docs.length - remaining.length };
     },
+    async deleteMany(filter = {}){
+      const docs = readFallback(name);
+      const remaining = docs.filter(doc => !matchDoc(doc, filter));
+      writeFallback(name, remaining);
+      return { deletedCount: docs.length - remaining.length };
+    },
     find(filter = {}){
       const docs = readFallback(name).filter(doc => matchDoc(doc, filter));
       return {
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { getCollection } = require('./mongo');
+const { DEFAULT_TIMEZONE } = require('../lib/timeParser');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// No-reply drip after the missed-call text: each flow can define `nudges`
+// (steps with a delay and message, plus quiet hours). A lead is enrolled when
+// the text-back goes out; any reply, opt-out or booking stops the drip.
+const COLLECTION = 'sms_nudges';
+const UNITS = { m: 'minute', h: 'hour', d: 'day' };
+
+function parseDelay(value) {
+  const match = String(value || '').trim().match(/^(\d+)\s*([mhd])$/i);
+  return match ? { amount: Number(match[1]), unit: UNITS[match[2].toLowerCase()] } : null;
+}
+
+function toMinutes(hhmm) {
+  const [hours, minutes] = String(hhmm || '0:0').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+// Moves a send time that lands inside quiet hours to the end of the window.
+function deferPastQuietHours(at, quietHours) {
+  if (!quietHours?.start || !quietHours?.end) return dayjs(at);
+  const local = dayjs(at).tz(quietHours.timezone || DEFAULT_TIMEZONE);
+  const minutes = local.hour() * 60 + local.minute();
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const quiet = end > start
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+  if (!quiet) return dayjs(at);
+  let resume = local.startOf('day').add(end, 'minute');
+  if (!resume.isAfter(local)) resume = resume.add(1, 'day');
+  return resume;
+}
+
+function dueAt(startedAt, step, quietHours) {
+  const delay = parseDelay(step.after);
+  return deferPastQuietHours(dayjs(startedAt).add(delay.amount, delay.unit), quietHours).toISOString();
+}
+
+async function drips() {
+  return getCollection(COLLECTION);
+}
+
+async function latestDrip(phone, business) {
+  const collection = await drips();
+  const rows = await collection.find({ business, phone }).toArray();
+  return rows.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)))[0] || null;
+}
+
+// Starts (or restarts) the drip for a lead. The flow's steps are copied onto
+// the record so edits to a flow don't reshuffle drips already in progress.
+async function scheduleNudges(phone, { business = 'default', flow, now = new Date() } = {}) {
+  const config = flow?.nudges;
+  const steps = (config?.steps || []).filter(step => step?.message && parseDelay(step.after));
+  if (!phone || !steps.length) return null;
+
+  await stopNudges(phone, { business, reason: 'restarted' });
+
+  const startedAt = dayjs(now).toISOString();
+  const quietHours = config.quietHours
+    ? { timezone: DEFAULT_TIMEZONE, ...config.quietHours }
+    : null;
+  const drip = {
+    id: crypto.randomUUID(),
+    phone,
+    business,
+    flow: flow.id,
+    status: 'active',
+    steps: steps.map((step, index) => ({ id: String(step.id || index + 1), after: step.after, message: step.message })),
+    quietHours,
+    sentCount: 0,
+    sent: [],
+    nextAt: dueAt(startedAt, steps[0], quietHours),
+    startedAt,
+    stoppedAt: null,
+    stopReason: null,
+    repliedAt: null,
+    bookedAt: null,
+    optedOutAt: null,
+  };
+  const collection = await drips();
+  await collection.insertOne(drip);
+  return drip;
+}
+
+// reason: 'replied' | 'opted_out' | 'booked' | 'paused' | 'restarted'. Replies and
+// bookings are also stamped on a finished drip so late conversions count.
+async function stopNudges(phone, { business = 'default', reason } = {}) {
+  const drip = await latestDrip(phone, business);
+  if (!drip) return null;
+
+  const now = new Date().toISOString();
+  const patch = {};
+  if (drip.status === 'active') {
+    Object.assign(patch, { status: 'stopped', stopReason: reason, stoppedAt: now, nextAt: null });
+  }
+  if (reason === 'replied' && !drip.repliedAt) patch.repliedAt = now;
+  if (reason === 'booked' && !drip.bookedAt) patch.bookedAt = now;
+  if (reason === 'opted_out' && !drip.optedOutAt) patch.optedOutAt = now;
+  if (!Object.keys(patch).length) return drip;
+
+  const collection = await drips();
+  await collection.updateOne({ id: drip.id }, { $set: patch });
+  return { ...drip, ...patch };
+}
+
+// Sends every nudge that is due (optionally for one phone). `send(drip, step)`
+// delivers one message and may throw an error with code 'sms_opted_out'.
+// Drips for threads where `isPaused(phone)` is true (an operator has taken
+// over) are stopped instead of sent.
+async function sendDueNudges({ send, isPaused = null, now = Date.now(), phone = '' }) {
+  const collection = await drips();
+  const rows = await collection.find(phone ? { status: 'active', phone } : { status: 'active' }).toArray();
+  const due = rows.filter(row => row.nextAt && new Date(row.nextAt).getTime() <= now);
+  let sent = 0;
+
+  for (const row of due) {
+    if (isPaused && await isPaused(row.phone)) {
+      await stopNudges(row.phone, { business: row.business, reason: 'paused' });
+      continue;
+    }
+    const step = row.steps[row.sentCount];
+    const next = row.steps[row.sentCount + 1];
+    const sentAt = new Date(now).toISOString();
+    // Claim first so overlapping sweeps don't double-send.
+    const claim = await collection.updateOne(
+      { id: row.id, status: 'active', sentCount: row.sentCount },
+      {
+        $set: {
+          sentCount: row.sentCount + 1,
+          nextAt: next ? dueAt(row.startedAt, next, row.quietHours) : null,
+          status: next ? 'active' : 'completed',
+        },
+      },
+    );
+    if (!claim?.modifiedCount || !step) continue;
+
+    const result = { step: step.id, at: sentAt };
+    try {
+      const message = await send(row, step);
+      result.sid = message?.sid || null;
+      sent += 1;
+    } catch (error) {
+      result.error = error?.code || error?.message || 'send_failed';
+      if (error?.code === 'sms_opted_out') {
+        await stopNudges(row.phone, { business: row.business, reason: 'opted_out' });
+      } else {
+        console.warn('[Nudges] Send failed', { id: row.id, step: step.id, message: error?.message || error });
+      }
+    }
+    const latest = await collection.findOne({ id: row.id });
+    await collection.updateOne({ id: row.id }, { $set: { sent: [...(latest?.sent || []), result] } });
+  }
+  return sent;
+}
+
+async function listNudges({ phone = '', business = '', status = '', limit = 100 } = {}) {
+  const collection = await drips();
+  const filter = {};
+  if (phone) filter.phone = phone;
+  if (business) filter.business = business;
+  if (status) filter.status = status;
+  const rows = await collection.find(filter).toArray();
+  return rows
+    .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)))
+    .slice(0, Math.max(1, Math.min(500, Number(limit) || 100)))
+    .map(({ _id, ...row }) => row);
+}
+
+function rate(part, whole) {
+  return whole ? Number((part / whole).toFixed(3)) : null;
+}
+
+// Conversion per step: a reply or booking is credited to the last nudge sent
+// before it, or to the missed-call text itself when no nudge had gone out yet.
+async function nudgeStats({ business = '' } = {}) {
+  const collection = await drips();
+  const rows = await collection.find(business ? { business } : {}).toArray();
+  const steps = new Map();
+  const stepStats = (id) => {
+    if (!steps.has(id)) steps.set(id, { step: id, sent: 0, accepted: 0, replies: 0, bookings: 0, optOuts: 0 });
+    return steps.get(id);
+  };
+  stepStats('initial');
+  const totals = { enrolled: rows.length, active: 0, completed: 0, replied: 0, booked: 0, optedOut: 0 };
+
+  rows.forEach((row) => {
+    if (row.status === 'active') totals.active += 1;
+    if (row.status === 'completed') totals.completed += 1;
+    (row.sent || []).forEach((entry) => {
+      const stats = stepStats(entry.step);
+      stats.sent += 1;
+      if (!entry.error) stats.accepted += 1;
+    });
+    const creditAt = (at) => {
+      const before = (row.sent || []).filter(entry => !entry.error && entry.at <= at);
+      return before.length ? before[before.length - 1].step : 'initial';
+    };
+    if (row.repliedAt) {
+      totals.replied += 1;
+      stepStats(creditAt(row.repliedAt)).replies += 1;
+    }
+    if (row.bookedAt) {
+      totals.booked += 1;
+      stepStats(creditAt(row.bookedAt)).bookings += 1;
+    }
+    if (row.optedOutAt) {
+      totals.optedOut += 1;
+      stepStats(creditAt(row.optedOutAt)).optOuts += 1;
+    }
+  });
+
+  return {
+    ...totals,
+    replyRate: rate(totals.replied, totals.enrolled),
+    bookingRate: rate(totals.booked, totals.enrolled),
+    steps: [...steps.values()].map(stats => ({
+      ...stats,
+      replyRate: stats.step === 'initial' ? null : rate(stats.replies, stats.accepted),
+    })),
+  };
+}
+
+module.exports = {
+  parseDelay,
+  deferPastQuietHours,
+  scheduleNudges,
+  stopNudges,
+  sendDueNudges,
+  listNudges,
+  nudgeStats,
+};
@@ -0,0 +1,122 @@
+const { getCollection } = require('./mongo');
+const { recordAuditLog } = require('./auditLog');
+
+// Carrier-standard consent keywords. Matching is on the whole message so that
+// "please don't stop texting me" is not treated as an opt-out.
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'PARAR'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP'];
+const HELP_KEYWORDS = ['HELP', 'INFO', 'AYUDA'];
+
+const COLLECTION = 'sms_opt_outs';
+
+class OptedOutError extends Error {
+  constructor(phone) {
+    super('Recipient has opted out of SMS');
+    this.name = 'OptedOutError';
+    this.code = 'sms_opted_out';
+    this.status = 409;
+    this.phone = phone;
+  }
+}
+
+function normalizePhone(value) {
+  if (!value) return '';
+  const digits = String(value).trim().replace(/[^\d+]/g, '');
+  if (!digits) return '';
+  if (digits.startsWith('+')) return digits;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  if (digits.length === 10) return `+1${digits}`;
+  return `+${digits}`;
+}
+
+function classifyKeyword(body) {
+  const keyword = String(body || '').trim().replace(/[.!]+$/, '').toUpperCase();
+  if (OPT_OUT_KEYWORDS.includes(keyword)) return { type: 'opt_out', keyword };
+  if (OPT_IN_KEYWORDS.includes(keyword)) return { type: 'opt_in', keyword };
+  if (HELP_KEYWORDS.includes(keyword)) return { type: 'help', keyword };
+  return null;
+}
+
+async function getConsent(phone) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  const collection = await getCollection(COLLECTION);
+  return collection.findOne({ phone: normalized });
+}
+
+async function isOptedOut(phone) {
+  const record = await getConsent(phone);
+  return Boolean(record?.optedOut);
+}
+
+async function setConsent(phone, optedOut, { keyword = '', source = 'sms', actor = null } = {}) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  const collection = await getCollection(COLLECTION);
+  const existing = await collection.findOne({ phone: normalized });
+  const now = new Date().toISOString();
+  const changed = !existing || Boolean(existing.optedOut) !== optedOut;
+
+  await collection.updateOne(
+    { phone: normalized },
+    {
+      $set: {
+        optedOut,
+        keyword,
+        source,
+        updatedAt: now,
+        ...(optedOut ? { optedOutAt: now } : { optedInAt: now }),
+      },
+      $setOnInsert: { createdAt: now },
+    },
+    { upsert: true },
+  );
+
+  if (changed) {
+    await recordAuditLog({
+      type: optedOut ? 'sms_opt_out' : 'sms_opt_in',
+      phone: normalized,
+      keyword,
+      source,
+      userId: actor,
+      previous: existing ? (existing.optedOut ? 'opted_out' : 'opted_in') : null,
+    });
+  }
+
+  return { phone: normalized, optedOut, changed };
+}
+
+function recordOptOut(phone, details) {
+  return setConsent(phone, true, details);
+}
+
+function recordOptIn(phone, details) {
+  return setConsent(phone, false, details);
+}
+
+async function assertCanText(phone) {
+  if (await isOptedOut(phone)) {
+    throw new OptedOutError(normalizePhone(phone));
+  }
+}
+
+async function listOptOuts() {
+  const collection = await getCollection(COLLECTION);
+  const rows = await collection.find({ optedOut: true }).toArray();
+  return rows.sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
+}
+
+module.exports = {
+  OPT_OUT_KEYWORDS,
+  OPT_IN_KEYWORDS,
+  HELP_KEYWORDS,
+  OptedOutError,
+  normalizePhone,
+  classifyKeyword,
+  getConsent,
+  isOptedOut,
+  recordOptOut,
+  recordOptIn,
+  assertCanText,
+  listOptOuts,
+};
@@ -0,0 +1,146 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { getCollection } = require('./mongo');
+const { DEFAULT_TIMEZONE } = require('../lib/timeParser');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Funnel events behind the missed-call recovery (ROI) report. Each event has a
+// dedupe key, so a Twilio retry or a second Calendly delivery is counted once.
+const COLLECTION = 'recovery_events';
+const EVENT_TYPES = ['missed_call', 'replied', 'qualified', 'booked', 'review_requested'];
+const GROUPINGS = ['day', 'week'];
+const CSV_COLUMNS = [
+  'period', 'business', 'missedCalls', 'replies', 'replyRate', 'qualifiedLeads',
+  'bookings', 'reviewsRequested', 'averageJobValue', 'estimatedRevenue',
+];
+
+async function events() {
+  return getCollection(COLLECTION);
+}
+
+async function recordRecoveryEvent(type, { key, phone = null, business = 'default', source = null, at = new Date() } = {}) {
+  if (!EVENT_TYPES.includes(type) || !key) return false;
+  const collection = await events();
+  const result = await collection.updateOne(
+    { type, key: String(key) },
+    {
+      $setOnInsert: {
+        type,
+        key: String(key),
+        phone,
+        business: business || 'default',
+        source,
+        at: dayjs(at).toISOString(),
+      },
+    },
+    { upsert: true },
+  );
+  return Boolean(result?.upsertedCount || result?.upsertedId);
+}
+
+// Weeks start on Monday in the business timezone.
+function periodStart(at, groupBy, tz) {
+  const local = dayjs(at).tz(tz).startOf('day');
+  if (groupBy !== 'week') return local;
+  return local.subtract((local.day() + 6) % 7, 'day');
+}
+
+function rate(part, whole) {
+  return whole ? Number((part / whole).toFixed(3)) : null;
+}
+
+function emptyRow(period, business) {
+  return { period, business, missedCalls: 0, replies: 0, qualifiedLeads: 0, bookings: 0, reviewsRequested: 0 };
+}
+
+const COUNTERS = {
+  missed_call: 'missedCalls',
+  replied: 'replies',
+  qualified: 'qualifiedLeads',
+  booked: 'bookings',
+  review_requested: 'reviewsRequested',
+};
+
+function finishRow(row, averageJobValue) {
+  return {
+    ...row,
+    replyRate: rate(row.replies, row.missedCalls),
+    averageJobValue,
+    estimatedRevenue: Math.round(row.bookings * averageJobValue * 100) / 100,
+  };
+}
+
+// Rows per period and business between `from` and `to` (inclusive days).
+// `jobValueFor(businessId)` returns the average job value for revenue.
+async function recoveryReport({
+  from,
+  to,
+  groupBy = 'day',
+  business = '',
+  timezone: tz = DEFAULT_TIMEZONE,
+  jobValueFor = () => 0,
+} = {}) {
+  const grouping = GROUPINGS.includes(groupBy) ? groupBy : 'day';
+  const end = (to ? dayjs.tz(to, tz) : dayjs().tz(tz)).endOf('day');
+  const start = (from ? dayjs.tz(from, tz) : end.subtract(29, 'day')).startOf('day');
+
+  const collection = await events();
+  const filter = { at: { $gte: start.toISOString(), $lte: end.toISOString() } };
+  if (business) filter.business = business;
+  const rows = await collection.find(filter).toArray();
+  const buckets = new Map();
+  rows.forEach((event) => {
+    const at = dayjs(event.at);
+    if (!COUNTERS[event.type]) return;
+    const period = periodStart(at, grouping, tz).format('YYYY-MM-DD');
+    const id = `${period}|${event.business}`;
+    if (!buckets.has(id)) buckets.set(id, emptyRow(period, event.business));
+    buckets.get(id)[COUNTERS[event.type]] += 1;
+  });
+
+  const values = new Map();
+  for (const id of new Set([...buckets.values()].map(row => row.business))) {
+    values.set(id, Number(await jobValueFor(id)) || 0);
+  }
+
+  const result = [...buckets.values()]
+    .sort((a, b) => a.period.localeCompare(b.period) || a.business.localeCompare(b.business))
+    .map(row => finishRow(row, values.get(row.business)));
+  const totals = result.reduce((sum, row) => {
+    Object.values(COUNTERS).forEach((counter) => { sum[counter] += row[counter]; });
+    sum.estimatedRevenue += row.estimatedRevenue;
+    return sum;
+  }, { business: business || null, missedCalls: 0, replies: 0, qualifiedLeads: 0, bookings: 0, reviewsRequested: 0, estimatedRevenue: 0 });
+  totals.replyRate = rate(totals.replies, totals.missedCalls);
+  totals.estimatedRevenue = Math.round(totals.estimatedRevenue * 100) / 100;
+
+  return {
+    from: start.format('YYYY-MM-DD'),
+    to: end.format('YYYY-MM-DD'),
+    groupBy: grouping,
+    timezone: tz,
+    rows: result,
+    totals,
+  };
+}
+
+function csvEscape(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function reportToCsv(report) {
+  const lines = [CSV_COLUMNS.join(',')];
+  report.rows.forEach(row => lines.push(CSV_COLUMNS.map(key => csvEscape(row[key])).join(',')));
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordRecoveryEvent,
+  recoveryReport,
+  reportToCsv,
+};
@@ -8,111 +8,409 @@ const auth = new google.auth.GoogleAuth({
 });
 
 const SHEET_ID = process.env.GOOGLE_SHEETS_ID;
-const RANGE = 'Sheet1!A:H'; // adjust if your tab name differs
+const TAB = 'Sheet1'; // adjust if your tab name differs
+const RANGE = TAB;
+const HEADER = ['timestamp', 'phone', 'name', 'need', 'status', 'appt_start', 'appt_end', 'calendly_event'];
 
-async function appendRow(row) {
-  const authClient = await auth.getClient();
-  await sheets.spreadsheets.values.append({
+// Columns are mapped by the header row, so fields can live in any column and
+// new fields get a column appended to the header the first time they're
+// written (SHEETS_AUTO_COLUMNS=false drops them instead). Cells come back as
+// strings unless SHEETS_COLUMN_TYPES maps a header to number, boolean or json,
+// e.g. {"voicemail_seconds":"number","opted_out":"boolean"}.
+const AUTO_COLUMNS = !/^(0|false|no)$/i.test(process.env.SHEETS_AUTO_COLUMNS || '');
+const COLUMN_TYPES = parseColumnTypes(process.env.SHEETS_COLUMN_TYPES);
+
+// Writes are queued for SHEETS_WRITE_DELAY_MS so a burst turns into one read,
+// one batchUpdate of just the changed cells on existing rows and one append
+// for new ones. The read is fresh on every flush, so rows an operator edited,
+// sorted or inserted since the last read are never overwritten by stale
+// values. Reads for findAll are cached for SHEETS_INDEX_TTL_MS. 429s back off
+// exponentially.
+const INDEX_TTL_MS = Math.max(0, Number(process.env.SHEETS_INDEX_TTL_MS || `${5 * 60 * 1000}`));
+const WRITE_DELAY_MS = Math.max(0, Number(process.env.SHEETS_WRITE_DELAY_MS || '500'));
+const MAX_BATCH_ROWS = Math.max(1, Number(process.env.SHEETS_MAX_BATCH_ROWS || '100'));
+const MAX_RETRIES = Math.max(0, Number(process.env.SHEETS_MAX_RETRIES || '5'));
+const BACKOFF_BASE_MS = Math.max(50, Number(process.env.SHEETS_BACKOFF_BASE_MS || '1000'));
+const METRICS_WINDOW_MS = 60 * 1000;
+
+function parseColumnTypes(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error('[Sheets] SHEETS_COLUMN_TYPES is not valid JSON', error?.message || error);
+    return {};
+  }
+}
+
+const caches = new Map();
+const queues = new Map();
+
+const metrics = {
+  reads: 0,
+  batchUpdates: 0,
+  appends: 0,
+  headerWrites: 0,
+  rowsUpdated: 0,
+  rowsAppended: 0,
+  upserts: 0,
+  coalesced: 0,
+  cacheHits: 0,
+  cacheMisses: 0,
+  invalidations: 0,
+  throttled: 0,
+  retries: 0,
+  failures: 0,
+  lastThrottledAt: null,
+};
+const recentRequests = [];
+
+function trackRequest(kind) {
+  const now = Date.now();
+  recentRequests.push({ at: now, kind });
+  while (recentRequests.length && recentRequests[0].at < now - METRICS_WINDOW_MS) {
+    recentRequests.shift();
+  }
+}
+
+function isRateLimited(error) {
+  const status = Number(error?.code || error?.status || error?.response?.status);
+  return status === 429 || /rate limit|quota exceeded/i.test(error?.message || '');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function callSheets(kind, fn) {
+  for (let attempt = 0; ; attempt += 1) {
+    trackRequest(kind);
+    try {
+      return await fn(await auth.getClient());
+    } catch (error) {
+      if (!isRateLimited(error) || attempt >= MAX_RETRIES) {
+        metrics.failures += 1;
+        throw error;
+      }
+      metrics.throttled += 1;
+      metrics.retries += 1;
+      metrics.lastThrottledAt = new Date().toISOString();
+      const delay = BACKOFF_BASE_MS * (2 ** attempt) + Math.floor(Math.random() * BACKOFF_BASE_MS);
+      console.warn('[Sheets] Rate limited, backing off', { kind, attempt: attempt + 1, delayMs: delay });
+      await sleep(delay);
+    }
+  }
+}
+
+function invalidateSheetCache(sheetId = SHEET_ID) {
+  if (caches.delete(sheetId || '')) metrics.invalidations += 1;
+}
+
+function buildCache(values) {
+  const rows = values.map(row => [...row]);
+  const header = (rows[0] || []).map(name => String(name || '').trim());
+  const phoneIdx = header.indexOf('phone');
+  const index = new Map();
+  for (let i = 1; i < rows.length; i++) {
+    const phone = rows[i][phoneIdx];
+    if (phone && !index.has(phone)) index.set(phone, i);
+  }
+  return { rows, header, index, loadedAt: Date.now() };
+}
+
+// 1 -> A, 27 -> AA
+function columnLetter(position) {
+  let letters = '';
+  for (let n = position; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function rowRange(rowIndex, width) {
+  return `${TAB}!A${rowIndex + 1}:${columnLetter(width)}${rowIndex + 1}`;
+}
+
+function cellRange(rowIndex, columnIndex) {
+  return `${TAB}!${columnLetter(columnIndex + 1)}${rowIndex + 1}`;
+}
+
+function toCell(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+function fromCell(key, value) {
+  const type = COLUMN_TYPES[key];
+  if (value === undefined || value === null || value === '') return type ? null : '';
+  if (type === 'number') {
+    const number = Number(String(value).replace(/[$,]/g, ''));
+    return Number.isFinite(number) ? number : null;
+  }
+  if (type === 'boolean') return /^(true|yes|1)$/i.test(String(value));
+  if (type === 'json') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  return String(value);
+}
+
+function rowToObject(header, row = []) {
+  const record = {};
+  header.forEach((key, index) => {
+    if (key && !(key in record)) record[key] = fromCell(key, row[index]);
+  });
+  return record;
+}
+
+async function readSheet(spreadsheetId) {
+  metrics.reads += 1;
+  const res = await callSheets('read', authClient => sheets.spreadsheets.values.get({
+    auth: authClient,
+    spreadsheetId,
+    range: RANGE
+  }));
+  const cache = buildCache(res.data.values || []);
+  caches.set(spreadsheetId || '', cache);
+  return cache;
+}
+
+async function loadSheet(spreadsheetId, { fresh = false } = {}) {
+  const cached = caches.get(spreadsheetId || '');
+  if (!fresh && cached && Date.now() - cached.loadedAt < INDEX_TTL_MS) {
+    metrics.cacheHits += 1;
+    return cached;
+  }
+  metrics.cacheMisses += 1;
+  return readSheet(spreadsheetId);
+}
+
+async function appendRow(row, { sheetId } = {}) {
+  const spreadsheetId = sheetId || SHEET_ID;
+  metrics.appends += 1;
+  await callSheets('write', authClient => sheets.spreadsheets.values.append({
     auth: authClient,
-    spreadsheetId: SHEET_ID,
-    range: RANGE,
+    spreadsheetId,
+    range: `${TAB}!A1`,
     valueInputOption: 'USER_ENTERED',
     requestBody: { values: [row] }
+  }));
+  invalidateSheetCache(spreadsheetId);
+}
+
+// Every data row as an object keyed by header, with `_row` (1-based sheet
+// row). Served from the index cache while it's fresh.
+async function findAll({ sheetId, fresh = false } = {}) {
+  const cache = await loadSheet(sheetId || SHEET_ID, { fresh });
+  const records = [];
+  for (let i = 1; i < cache.rows.length; i++) {
+    if (cache.rows[i]?.some(cell => cell !== '' && cell !== undefined)) {
+      records.push({ _row: i + 1, ...rowToObject(cache.header, cache.rows[i]) });
+    }
+  }
+  return records;
+}
+
+// Adds header columns for patch fields the sheet doesn't have yet. Returns
+// true when the header row needs writing.
+function ensureColumns(cache, fields) {
+  let changed = false;
+  if (cache.header.length === 0) {
+    cache.header.push(...HEADER);
+    changed = true;
+  }
+  ['phone', ...fields].forEach((key) => {
+    if (key && !cache.header.includes(key)) {
+      if (!AUTO_COLUMNS) {
+        console.warn('[Sheets] Dropping field without a column (SHEETS_AUTO_COLUMNS=false)', { field: key });
+        return;
+      }
+      cache.header.push(key);
+      changed = true;
+    }
   });
+  return changed;
 }
 
-async function findAll() {
-  const authClient = await auth.getClient();
-  const res = await sheets.spreadsheets.values.get({
-    auth: authClient,
-    spreadsheetId: SHEET_ID,
-    range: RANGE
+function mergeRow(header, row, phone, patch, now) {
+  return header.map((key, index) => {
+    const existing = row ? row[index] ?? '' : '';
+    if (key === 'timestamp') return existing || now;
+    if (key === 'phone') return existing || phone;
+    if (patch[key] !== undefined) return toCell(patch[key]);
+    if (key === 'status' && !existing) return 'opened';
+    return existing;
   });
-  return res.data.values || [];
 }
 
-async function upsertByPhone(phone, patch) {
-  // Load all rows; find row with phone; update or append
-  const authClient = await auth.getClient();
-  const res = await sheets.spreadsheets.values.get({
-    auth: authClient,
-    spreadsheetId: SHEET_ID,
-    range: RANGE
+// Indexes of the cells in `merged` that differ from what the row holds now.
+function changedColumns(row, merged) {
+  const changed = [];
+  merged.forEach((value, index) => {
+    if (String(value) !== String(row[index] ?? '')) changed.push(index);
   });
-  const rows = res.data.values || [];
-  const header = rows[0] || [];
-  const phoneIdx = header.indexOf('phone');
+  return changed;
+}
 
+function appendedStartRow(updatedRange) {
+  const match = String(updatedRange || '').match(/![A-Z]+(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+async function flushQueue(spreadsheetId, pending) {
+  const cache = await loadSheet(spreadsheetId, { fresh: true });
   const now = dayjs().format('YYYY-MM-DD HH:mm:ss');
+  const data = [];
+  const updates = [];
+  const additions = [];
 
-  if (rows.length === 0) {
-    // Write header first time
-    await sheets.spreadsheets.values.update({
-      auth: authClient,
-      spreadsheetId: SHEET_ID,
-      range: 'Sheet1!A1:H1',
-      valueInputOption: 'USER_ENTERED',
-      requestBody: {
-        values: [[
-          'timestamp','phone','name','need','status','appt_start','appt_end','calendly_event'
-        ]]
-      }
-    });
+  const fields = new Set();
+  pending.forEach(entry => Object.keys(entry.patch).forEach(key => fields.add(key)));
+  if (ensureColumns(cache, fields)) {
+    // Header row is written first (or extended) in the same batch.
+    metrics.headerWrites += 1;
+    data.push({ range: rowRange(0, cache.header.length), values: [cache.header] });
+    cache.rows[0] = [...cache.header];
   }
+  const { header } = cache;
 
-  let rowIndex = -1;
-  for (let i = 1; i < rows.length; i++) {
-    if (rows[i][phoneIdx] === phone) {
-      rowIndex = i;
-      break;
+  pending.forEach((entry, phone) => {
+    const rowIndex = cache.index.get(phone);
+    if (rowIndex === undefined) {
+      additions.push({ phone, entry, row: mergeRow(header, null, phone, entry.patch, now) });
+    } else {
+      const current = cache.rows[rowIndex] || [];
+      const row = mergeRow(header, current, phone, entry.patch, now);
+      updates.push({ rowIndex, entry, row });
+      changedColumns(current, row).forEach((columnIndex) => {
+        data.push({ range: cellRange(rowIndex, columnIndex), values: [[row[columnIndex]]] });
+      });
     }
+  });
+
+  if (data.length) {
+    metrics.batchUpdates += 1;
+    await callSheets('write', authClient => sheets.spreadsheets.values.batchUpdate({
+      auth: authClient,
+      spreadsheetId,
+      requestBody: { valueInputOption: 'USER_ENTERED', data }
+    }));
+    metrics.rowsUpdated += updates.length;
+    updates.forEach(({ rowIndex, row }) => { cache.rows[rowIndex] = row; });
   }
 
-  if (rowIndex === -1) {
-    // Append new
-    await appendRow([
-      now,
-      phone,
-      patch.name || '',
-      patch.need || '',
-      patch.status || 'opened',
-      patch.appt_start || '',
-      patch.appt_end || '',
-      patch.calendly_event || ''
-    ]);
-  } else {
-    // Update in place
-    const row = rows[rowIndex];
-    const cols = {
-      timestamp: 0,
-      phone: 1,
-      name: 2,
-      need: 3,
-      status: 4,
-      appt_start: 5,
-      appt_end: 6,
-      calendly_event: 7
-    };
-    const newRow = [
-      row[cols.timestamp] || now,
-      row[cols.phone] || phone,
-      patch.name ?? row[cols.name] ?? '',
-      patch.need ?? row[cols.need] ?? '',
-      patch.status ?? row[cols.status] ?? 'opened',
-      patch.appt_start ?? row[cols.appt_start] ?? '',
-      patch.appt_end ?? row[cols.appt_end] ?? '',
-      patch.calendly_event ?? row[cols.calendly_event] ?? ''
-    ];
-
-    const range = `Sheet1!A${rowIndex + 1}:H${rowIndex + 1}`;
-    await sheets.spreadsheets.values.update({
+  if (additions.length) {
+    metrics.appends += 1;
+    const res = await callSheets('write', authClient => sheets.spreadsheets.values.append({
       auth: authClient,
-      spreadsheetId: SHEET_ID,
-      range,
+      spreadsheetId,
+      range: `${TAB}!A1`,
       valueInputOption: 'USER_ENTERED',
-      requestBody: { values: [newRow] }
-    });
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values: additions.map(item => item.row) }
+    }));
+    metrics.rowsAppended += additions.length;
+    const startRow = appendedStartRow(res?.data?.updates?.updatedRange);
+    if (startRow) {
+      additions.forEach(({ phone, row }, offset) => {
+        const rowIndex = startRow - 1 + offset;
+        cache.rows[rowIndex] = row;
+        cache.index.set(phone, rowIndex);
+      });
+    } else {
+      // Can't tell where the rows landed; re-read on the next write.
+      invalidateSheetCache(spreadsheetId);
+    }
+  }
+
+  [...updates, ...additions].forEach(({ entry, row }) => {
+    const record = rowToObject(header, row);
+    entry.waiters.forEach(waiter => waiter.resolve(record));
+  });
+}
+
+function queueFor(spreadsheetId) {
+  const key = spreadsheetId || '';
+  if (!queues.has(key)) {
+    queues.set(key, { pending: new Map(), timer: null, dueAt: null, running: Promise.resolve() });
+  }
+  return queues.get(key);
+}
+
+function scheduleFlush(spreadsheetId, delay = WRITE_DELAY_MS) {
+  const queue = queueFor(spreadsheetId);
+  const dueAt = Date.now() + delay;
+  if (queue.timer) {
+    if (queue.dueAt <= dueAt) return;
+    clearTimeout(queue.timer);
   }
+  queue.dueAt = dueAt;
+  queue.timer = setTimeout(() => {
+    queue.timer = null;
+    queue.dueAt = null;
+    const pending = queue.pending;
+    queue.pending = new Map();
+    // Flushes for one sheet run one at a time so row numbers stay consistent.
+    queue.running = queue.running
+      .then(() => flushQueue(spreadsheetId, pending))
+      .catch((error) => {
+        invalidateSheetCache(spreadsheetId);
+        pending.forEach(entry => entry.waiters.forEach(waiter => waiter.reject(error)));
+      });
+  }, delay);
+}
+
+// Queues a patch for the lead with this phone and resolves with the written
+// row (as an object keyed by header) once its batch is flushed. Patches for the same phone in one batch are
+// merged; null/undefined values never overwrite what's in the sheet.
+function upsertByPhone(phone, patch, { sheetId } = {}) {
+  const spreadsheetId = sheetId || SHEET_ID;
+  const queue = queueFor(spreadsheetId);
+  metrics.upserts += 1;
+
+  return new Promise((resolve, reject) => {
+    const entry = queue.pending.get(phone);
+    const clean = Object.fromEntries(Object.entries(patch || {}).filter(([, value]) => value !== undefined && value !== null));
+    if (entry) {
+      metrics.coalesced += 1;
+      Object.assign(entry.patch, clean);
+      entry.waiters.push({ resolve, reject });
+    } else {
+      queue.pending.set(phone, { patch: clean, waiters: [{ resolve, reject }] });
+    }
+    scheduleFlush(spreadsheetId, queue.pending.size >= MAX_BATCH_ROWS ? 0 : WRITE_DELAY_MS);
+  });
+}
+
+function getSheetsMetrics() {
+  const cutoff = Date.now() - METRICS_WINDOW_MS;
+  const lastMinute = recentRequests.filter(item => item.at >= cutoff);
+  return {
+    ...metrics,
+    requestsLastMinute: {
+      read: lastMinute.filter(item => item.kind === 'read').length,
+      write: lastMinute.filter(item => item.kind === 'write').length,
+    },
+    cachedSheets: caches.size,
+    pendingWrites: [...queues.values()].reduce((sum, queue) => sum + queue.pending.size, 0),
+    config: {
+      indexTtlMs: INDEX_TTL_MS,
+      writeDelayMs: WRITE_DELAY_MS,
+      maxBatchRows: MAX_BATCH_ROWS,
+      maxRetries: MAX_RETRIES,
+    },
+  };
 }
 
-module.exports = { appendRow, upsertByPhone, findAll };
+module.exports = {
+  appendRow,
+  upsertByPhone,
+  findAll,
+  invalidateSheetCache,
+  getSheetsMetrics,
+};
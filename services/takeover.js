@@ -0,0 +1,114 @@
+const { getCollection } = require('./mongo');
+const { normalizePhone } = require('./optOutRegistry');
+
+// Human takeover: while a thread is paused the /sms bot stays quiet and an
+// operator answers from the inbox. A pause lapses once neither the operator
+// nor the pause itself has been active for SMS_TAKEOVER_IDLE_MINUTES.
+const COLLECTION = 'sms_takeovers';
+const IDLE_MS = Math.max(1, Number(process.env.SMS_TAKEOVER_IDLE_MINUTES || '120')) * 60 * 1000;
+// Whole-message match, like the opt-out keywords, so "is a human on call
+// tonight?" still goes to the bot.
+const TAKEOVER_PATTERN = /^(agent|human|operator|representative|rep|real person|(talk|speak) (to|with) (a |an )?(human|person|agent|someone|operator|representative))$/i;
+
+function isTakeoverRequest(body) {
+  const text = String(body || '').trim().replace(/[.!?]+$/, '').replace(/\s+/g, ' ');
+  return TAKEOVER_PATTERN.test(text);
+}
+
+function lastActivity(doc) {
+  return [doc.pausedAt, doc.lastOperatorAt]
+    .filter(Boolean)
+    .reduce((latest, at) => (at > latest ? at : latest), '');
+}
+
+function isPauseActive(doc, now = Date.now()) {
+  if (!doc?.paused) return false;
+  return new Date(lastActivity(doc)).getTime() + IDLE_MS > now;
+}
+
+async function takeovers() {
+  return getCollection(COLLECTION);
+}
+
+async function pauseThread(phone, { by = null, reason = 'operator' } = {}) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  const collection = await takeovers();
+  const now = new Date().toISOString();
+  await collection.updateOne(
+    { phone: normalized },
+    {
+      $set: { paused: true, pausedAt: now, pausedBy: by, reason, lastOperatorAt: null, resumedAt: null, resumedBy: null },
+      $setOnInsert: { phone: normalized },
+    },
+    { upsert: true },
+  );
+  return collection.findOne({ phone: normalized });
+}
+
+async function resumeThread(phone, { by = null } = {}) {
+  const normalized = normalizePhone(phone);
+  const collection = await takeovers();
+  const existing = await collection.findOne({ phone: normalized });
+  if (!existing?.paused) return existing || null;
+  await collection.updateOne(
+    { phone: normalized },
+    { $set: { paused: false, resumedAt: new Date().toISOString(), resumedBy: by } },
+  );
+  return collection.findOne({ phone: normalized });
+}
+
+// Operator replies keep the pause alive (and start one if the bot was running).
+async function touchOperator(phone, { by = null } = {}) {
+  const normalized = normalizePhone(phone);
+  const collection = await takeovers();
+  const existing = await collection.findOne({ phone: normalized });
+  if (!isPauseActive(existing)) {
+    await pauseThread(normalized, { by, reason: 'operator_reply' });
+  }
+  await collection.updateOne({ phone: normalized }, { $set: { lastOperatorAt: new Date().toISOString() } });
+  return collection.findOne({ phone: normalized });
+}
+
+// Current takeover state for a thread; idle pauses are resumed on the way.
+async function getTakeover(phone) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  const collection = await takeovers();
+  const doc = await collection.findOne({ phone: normalized });
+  if (doc?.paused && !isPauseActive(doc)) {
+    return resumeThread(normalized, { by: 'idle_timeout' });
+  }
+  return doc;
+}
+
+async function isPaused(phone) {
+  return Boolean((await getTakeover(phone))?.paused);
+}
+
+function takeoverSummary(doc) {
+  const paused = isPauseActive(doc);
+  return {
+    paused,
+    pausedAt: paused ? doc.pausedAt : null,
+    pausedBy: paused ? doc.pausedBy : null,
+    reason: paused ? doc.reason : null,
+    resumesAt: paused ? new Date(new Date(lastActivity(doc)).getTime() + IDLE_MS).toISOString() : null,
+  };
+}
+
+async function listTakeovers() {
+  const collection = await takeovers();
+  return collection.find({}).toArray();
+}
+
+module.exports = {
+  isTakeoverRequest,
+  pauseThread,
+  resumeThread,
+  touchOperator,
+  getTakeover,
+  isPaused,
+  takeoverSummary,
+  listTakeovers,
+};
@@ -1,6 +1,32 @@
 require('dotenv').config();
 const twilio = require('twilio');
-const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+const { assertCanText, OptedOutError } = require('./optOutRegistry');
+const { recordOutbound } = require('./messageLedger');
+const { recordOutbound: recordInboxMessage } = require('./inbox');
+const { createOutboxClient } = require('./twilioOutbox');
+
+// TWILIO_TRANSPORT=live (the default) talks to Twilio; =outbox captures
+// messages and calls locally (see services/twilioOutbox). The outbox is never
+// picked implicitly, so a deploy missing its credentials fails loudly instead
+// of quietly dropping texts.
+const TRANSPORTS = ['live', 'outbox'];
+const transport = process.env.TWILIO_TRANSPORT === 'outbox' ? 'outbox' : 'live';
+if (process.env.TWILIO_TRANSPORT && !TRANSPORTS.includes(process.env.TWILIO_TRANSPORT)) {
+  console.warn('[Twilio] Unknown TWILIO_TRANSPORT, using live', { transport: process.env.TWILIO_TRANSPORT });
+}
+if (transport === 'outbox') {
+  console.warn('[Twilio] Using the local outbox transport; no real texts or calls will be sent');
+}
+const client = transport === 'outbox'
+  ? createOutboxClient()
+  : twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+// Delivery receipts land on /sms/status and update the message ledger.
+function resolveStatusCallbackUrl() {
+  if (process.env.SMS_STATUS_CALLBACK_URL) return process.env.SMS_STATUS_CALLBACK_URL;
+  const base = (process.env.PUBLIC_BASE_URL || process.env.APP_BASE_URL || '').trim().replace(/\/$/, '');
+  return base ? `${base}/sms/status` : '';
+}
 
 function maskPhone(value) {
   if (!value) {
@@ -47,12 +73,29 @@ function redactBody(value, max = 320) {
 }
 
 async function sendSMS(to, body, context = {}, twilioOptions = {}) {
+  try {
+    await assertCanText(to);
+  } catch (error) {
+    if (error instanceof OptedOutError) {
+      console.warn('[SMS] Refusing to text opted-out recipient', {
+        timestamp: new Date().toISOString(),
+        to: maskPhone(to),
+        context: maskContext(context),
+      });
+    }
+    throw error;
+  }
+
   const payload = { to, body, ...twilioOptions };
   if (process.env.MESSAGING_SERVICE_SID) {
     payload.messagingServiceSid = process.env.MESSAGING_SERVICE_SID;
   } else if (!payload.from) {
     payload.from = process.env.TWILIO_NUMBER;
   }
+  const statusCallback = resolveStatusCallbackUrl();
+  if (statusCallback && !payload.statusCallback) {
+    payload.statusCallback = statusCallback;
+  }
 
   const safePayload = {
     ...payload,
@@ -86,6 +129,26 @@ async function sendSMS(to, body, context = {}, twilioOptions = {}) {
       messagingServiceSid: message?.messagingServiceSid || payload.messagingServiceSid || null,
       context: maskContext(context),
     });
+    try {
+      await recordOutbound({ message, to, body, context, twilioOptions });
+    } catch (ledgerError) {
+      console.warn('[SMS] Failed to record message in ledger', { sid: message?.sid, message: ledgerError?.message || ledgerError });
+    }
+    // Retries resend a message that is already in the thread.
+    if (!context.retryOf) {
+      try {
+        await recordInboxMessage({
+          phone: to,
+          body,
+          sid: message?.sid || null,
+          business: context.business || null,
+          source: context.source || null,
+          operator: context.operator || null,
+        });
+      } catch (inboxError) {
+        console.warn('[SMS] Failed to record message in inbox', { sid: message?.sid, message: inboxError?.message || inboxError });
+      }
+    }
     return message;
   } catch (error) {
     console.error('[SMS] Message failed', {
@@ -103,4 +166,4 @@ async function sendSMS(to, body, context = {}, twilioOptions = {}) {
   }
 }
 
-module.exports = { client, sendSMS };
+module.exports = { client, transport, sendSMS, OptedOutError };
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const twilio = require('twilio');
+const { getCollection } = require('./mongo');
+
+// Offline stand-in for the Twilio REST client (TWILIO_TRANSPORT=outbox).
+// messages.create / calls.create are captured in the `twilio_outbox`
+// collection (the JSON file store without Mongo) with fake SIDs, and the
+// StatusCallback Twilio would have sent is replayed against our own webhooks.
+const COLLECTION = 'twilio_outbox';
+const CALLBACK_DELAY_MS = Math.max(0, Number(process.env.TWILIO_OUTBOX_CALLBACK_DELAY_MS || '1000'));
+const SMS_PROGRESS = ['sent', 'delivered'];
+const CALL_PROGRESS = ['initiated', 'ringing', 'in-progress', 'completed'];
+
+function fakeSid(prefix) {
+  return `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+}
+
+async function outbox() {
+  return getCollection(COLLECTION);
+}
+
+function stripMeta({ _id, ...row }) {
+  return row;
+}
+
+// Final status for simulated callbacks, e.g. TWILIO_OUTBOX_SMS_STATUS=undelivered
+// with TWILIO_OUTBOX_SMS_ERROR_CODE=30008 to exercise the SMS retry path.
+function simulatedProgress(kind) {
+  if (kind === 'sms') {
+    const final = process.env.TWILIO_OUTBOX_SMS_STATUS || 'delivered';
+    return final === 'delivered' ? SMS_PROGRESS : ['sent', final];
+  }
+  const final = process.env.TWILIO_OUTBOX_CALL_STATUS || 'completed';
+  return final === 'completed' ? CALL_PROGRESS : ['initiated', final];
+}
+
+function callbackParams(entry, status, { errorCode = null } = {}) {
+  if (entry.kind === 'sms') {
+    return {
+      MessageSid: entry.sid,
+      SmsSid: entry.sid,
+      MessageStatus: status,
+      SmsStatus: status,
+      To: entry.to || '',
+      From: entry.from || '',
+      ...(errorCode ? { ErrorCode: String(errorCode) } : {}),
+    };
+  }
+  return {
+    CallSid: entry.sid,
+    CallStatus: status,
+    To: entry.to || '',
+    From: entry.from || '',
+    Direction: 'outbound-api',
+    ...(status === 'completed' ? { CallDuration: '30' } : {}),
+  };
+}
+
+// POSTs one status callback the way Twilio does (form-encoded and signed
+// with TWILIO_AUTH_TOKEN, so signature validation still applies).
+async function emitStatusCallback(sid, status, { errorCode = null, url = '' } = {}) {
+  const collection = await outbox();
+  const entry = await collection.findOne({ sid });
+  if (!entry) return null;
+
+  const target = url || entry.statusCallback;
+  const params = callbackParams(entry, status, { errorCode });
+  const callback = { status, at: new Date().toISOString(), url: target || null, responseStatus: null };
+  if (target) {
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (process.env.TWILIO_AUTH_TOKEN) {
+      headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, target, params);
+    }
+    try {
+      const response = await fetch(target, { method: 'POST', headers, body: new URLSearchParams(params).toString() });
+      callback.responseStatus = response.status;
+    } catch (error) {
+      callback.error = error?.message || String(error);
+      console.warn('[Outbox] Status callback failed', { sid, status, message: callback.error });
+    }
+  }
+
+  await collection.updateOne(
+    { sid },
+    {
+      $set: {
+        status,
+        errorCode: errorCode ? String(errorCode) : entry.errorCode || null,
+        callbacks: [...(entry.callbacks || []), callback],
+        updatedAt: callback.at,
+      },
+    },
+  );
+  return stripMeta(await collection.findOne({ sid }));
+}
+
+function scheduleCallbacks(entry) {
+  if (!entry.statusCallback || process.env.TWILIO_OUTBOX_CALLBACKS === 'false') return;
+  const errorCode = entry.kind === 'sms' ? process.env.TWILIO_OUTBOX_SMS_ERROR_CODE || null : null;
+  const steps = simulatedProgress(entry.kind);
+  steps.reduce((chain, status, index) => chain
+    .then(() => new Promise(resolve => setTimeout(resolve, CALLBACK_DELAY_MS)))
+    .then(() => emitStatusCallback(entry.sid, status, { errorCode: index === steps.length - 1 ? errorCode : null })), Promise.resolve())
+    .catch((error) => {
+      console.warn('[Outbox] Simulated callbacks failed', { sid: entry.sid, message: error?.message || error });
+    });
+}
+
+async function capture(kind, payload) {
+  const now = new Date().toISOString();
+  const entry = {
+    sid: fakeSid(kind === 'sms' ? 'SM' : 'CA'),
+    kind,
+    to: payload.to || null,
+    from: payload.from || null,
+    messagingServiceSid: payload.messagingServiceSid || null,
+    body: kind === 'sms' ? String(payload.body || '') : null,
+    mediaUrl: payload.mediaUrl || null,
+    twiml: kind === 'call' ? payload.twiml || null : null,
+    url: kind === 'call' ? payload.url || null : null,
+    machineDetection: payload.machineDetection || null,
+    statusCallback: payload.statusCallback || null,
+    request: payload,
+    status: 'queued',
+    errorCode: null,
+    callbacks: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+  const collection = await outbox();
+  await collection.insertOne(entry);
+  console.info('[Outbox] Captured outbound', { kind, sid: entry.sid, to: entry.to });
+  scheduleCallbacks(entry);
+  return entry;
+}
+
+// Same shape as the parts of the Twilio client this app uses.
+function createOutboxClient() {
+  return {
+    messages: {
+      async create(payload = {}) {
+        const entry = await capture('sms', payload);
+        const segments = Math.max(1, Math.ceil(entry.body.length / 153));
+        return { sid: entry.sid, status: entry.status, to: entry.to, from: entry.from, messagingServiceSid: entry.messagingServiceSid, numSegments: String(segments) };
+      },
+    },
+    calls: {
+      async create(payload = {}) {
+        const entry = await capture('call', payload);
+        return { sid: entry.sid, status: entry.status, to: entry.to, from: entry.from };
+      },
+    },
+  };
+}
+
+async function listOutbox({ kind = '', to = '', limit = 100 } = {}) {
+  const collection = await outbox();
+  const filter = {};
+  if (kind) filter.kind = kind;
+  if (to) filter.to = to;
+  const rows = await collection.find(filter).toArray();
+  return rows
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, Math.max(1, Math.min(500, Number(limit) || 100)))
+    .map(stripMeta);
+}
+
+async function findOutboxEntry(sid) {
+  const collection = await outbox();
+  const row = await collection.findOne({ sid });
+  return row ? stripMeta(row) : null;
+}
+
+async function clearOutbox() {
+  const collection = await outbox();
+  const result = await collection.deleteMany({});
+  return result?.deletedCount || 0;
+}
+
+module.exports = {
+  createOutboxClient,
+  emitStatusCallback,
+  listOutbox,
+  findOutboxEntry,
+  clearOutbox,
+};
@@ -0,0 +1,106 @@
+const { getCollection } = require('./mongo');
+
+// Voicemails left on missed calls, keyed by CallSid. Recording and transcription
+// callbacks arrive separately, so each one patches the same record.
+const COLLECTION = 'voicemails';
+const SUMMARY_MAX_LENGTH = 140;
+
+async function createVoicemail({ callSid, from, to = '', callStatus = '' }) {
+  const collection = await getCollection(COLLECTION);
+  const now = new Date().toISOString();
+  await collection.updateOne(
+    { callSid },
+    {
+      $set: { from, to, callStatus, status: 'awaiting_recording', updatedAt: now },
+      $setOnInsert: { createdAt: now, followUpSent: false },
+    },
+    { upsert: true },
+  );
+  return collection.findOne({ callSid });
+}
+
+async function updateVoicemail(callSid, patch = {}) {
+  const collection = await getCollection(COLLECTION);
+  await collection.updateOne(
+    { callSid },
+    { $set: { ...patch, updatedAt: new Date().toISOString() } },
+  );
+  return collection.findOne({ callSid });
+}
+
+async function findVoicemail(callSid) {
+  const collection = await getCollection(COLLECTION);
+  return collection.findOne({ callSid });
+}
+
+// Returns true only for the caller that flips the flag, so the follow-up SMS
+// goes out once even when the recording and transcription callbacks race.
+async function claimFollowUp(callSid) {
+  const collection = await getCollection(COLLECTION);
+  const result = await collection.updateOne(
+    { callSid, followUpSent: false },
+    { $set: { followUpSent: true, followUpAt: new Date().toISOString() } },
+  );
+  return Boolean(result?.modifiedCount);
+}
+
+async function listVoicemails({ phone = '', limit = 100 } = {}) {
+  const collection = await getCollection(COLLECTION);
+  const rows = await collection.find(phone ? { from: phone } : {}).toArray();
+  return rows
+    .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
+    .slice(0, Math.max(1, Math.min(500, Number(limit) || 100)));
+}
+
+// Voicemails whose transcription never arrived; the sweeper sends their follow-up anyway.
+async function listStaleVoicemails(olderThanMs) {
+  const collection = await getCollection(COLLECTION);
+  const cutoff = Date.now() - olderThanMs;
+  const rows = await collection.find({ followUpSent: false }).toArray();
+  return rows.filter(row => new Date(row.updatedAt || row.createdAt || 0).getTime() <= cutoff);
+}
+
+function fallbackSummary(transcript) {
+  const text = String(transcript || '').replace(/\s+/g, ' ').trim();
+  if (text.length <= SUMMARY_MAX_LENGTH) return text;
+  const firstSentence = text.split(/(?<=[.!?])\s/)[0];
+  const base = firstSentence.length <= SUMMARY_MAX_LENGTH ? firstSentence : text.slice(0, SUMMARY_MAX_LENGTH - 1);
+  return base.length < text.length && !/[.!?]$/.test(base) ? `${base}…` : base;
+}
+
+async function summarizeTranscript(transcript, { openai } = {}) {
+  const text = String(transcript || '').trim();
+  if (!text) return '';
+  if (!process.env.OPENAI_API_KEY || !openai?.chat?.completions) {
+    return fallbackSummary(text);
+  }
+  try {
+    const completion = await openai.chat.completions.create({
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      temperature: 0.2,
+      max_tokens: 60,
+      messages: [
+        {
+          role: 'system',
+          content: `Summarize this voicemail left for a local business in one short phrase (under ${SUMMARY_MAX_LENGTH} characters). No greeting, no quotes.`,
+        },
+        { role: 'user', content: text.slice(0, 2000) },
+      ],
+    });
+    const summary = completion.choices?.[0]?.message?.content?.trim();
+    return summary ? summary.slice(0, SUMMARY_MAX_LENGTH) : fallbackSummary(text);
+  } catch (error) {
+    console.warn('[Voicemail] Summary failed, using transcript excerpt', error?.message || error);
+    return fallbackSummary(text);
+  }
+}
+
+module.exports = {
+  createVoicemail,
+  updateVoicemail,
+  findVoicemail,
+  claimFollowUp,
+  listVoicemails,
+  listStaleVoicemails,
+  summarizeTranscript,
+};
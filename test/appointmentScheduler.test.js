@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.MONGO_FALLBACK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+delete process.env.MONGODB_URI;
+const { pickOfferedSlot, bookSlot } = require('../services/appointmentScheduler');
+
+test.after(() => fs.rmSync(process.env.MONGO_FALLBACK_DIR, { recursive: true, force: true }));
+
+test('only a bare number picks an offered slot', () => {
+  const offered = ['first', 'second', 'third'];
+  assert.equal(pickOfferedSlot('2', offered), 'second');
+  assert.equal(pickOfferedSlot(' #3 ', offered), 'third');
+  assert.equal(pickOfferedSlot('1)', offered), 'first');
+  assert.equal(pickOfferedSlot('4', offered), null);
+  assert.equal(pickOfferedSlot('2 pm tomorrow', offered), null);
+  assert.equal(pickOfferedSlot('3:30 works', offered), null);
+});
+
+test('two leads booking the same slot get one confirmation', async () => {
+  const slot = { start: '2026-10-21T14:00:00.000Z', end: '2026-10-21T15:00:00.000Z' };
+  const results = await Promise.allSettled([
+    bookSlot('+15550000001', slot, { business: 'acme' }),
+    bookSlot('+15550000002', slot, { business: 'acme' }),
+  ]);
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.code, 'slot_taken');
+});
+
+test('rebooking replaces the lead\'s earlier appointment', async () => {
+  const first = { start: '2026-10-22T14:00:00.000Z', end: '2026-10-22T15:00:00.000Z' };
+  const second = { start: '2026-10-22T16:00:00.000Z', end: '2026-10-22T17:00:00.000Z' };
+  await bookSlot('+15550000003', first, { business: 'acme' });
+  await bookSlot('+15550000003', second, { business: 'acme' });
+  // The first slot is free again for someone else.
+  const record = await bookSlot('+15550000004', first, { business: 'acme' });
+  assert.equal(record.status, 'confirmed');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.COLD_CALLER_STATE_SECRET = 'test_state_secret';
+const { signCallState, verifyCallState, checkCallState } = require('../lib/callState');
+
+const state = { callSid: 'CA123', leadName: 'Pat', handoffNumber: '+15550001111', variant: 'warm' };
+const now = Date.parse('2026-10-19T14:00:00Z');
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value), 'utf8').toString('base64url');
+}
+
+test('a signed token round-trips', () => {
+  const token = signCallState(state, { now });
+  assert.deepEqual(verifyCallState(token, { now: now + 1000 }), { ok: true, state, reason: null });
+});
+
+test('a rewritten payload is refused', () => {
+  const [, signature] = signCallState(state, { now }).split('.');
+  const forged = encode({ state: { ...state, handoffNumber: '+15559999999' }, exp: now + 60 * 1000 });
+  assert.equal(verifyCallState(`${forged}.${signature}`, { now }).reason, 'invalid_signature');
+});
+
+test('a tampered or foreign signature is refused', () => {
+  const [payload, signature] = signCallState(state, { now }).split('.');
+  const flipped = `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+  assert.equal(verifyCallState(`${payload}.${flipped}`, { now }).reason, 'invalid_signature');
+  assert.equal(verifyCallState(`${payload}.short`, { now }).reason, 'invalid_signature');
+});
+
+test('missing tokens and extra segments are malformed', () => {
+  const token = signCallState(state, { now });
+  assert.equal(verifyCallState('', { now }).reason, 'missing');
+  assert.equal(verifyCallState(`${token}.extra`, { now }).reason, 'malformed');
+  assert.equal(verifyCallState(token.split('.')[0], { now }).reason, 'malformed');
+});
+
+test('tokens expire after their TTL', () => {
+  const token = signCallState(state, { now, ttlMs: 60 * 1000 });
+  assert.equal(verifyCallState(token, { now: now + 59 * 1000 }).ok, true);
+  const expired = verifyCallState(token, { now: now + 60 * 1000 });
+  assert.equal(expired.ok, false);
+  assert.equal(expired.reason, 'expired');
+  // The state still comes back so the caller can say goodbye in the right voice.
+  assert.equal(expired.state.variant, 'warm');
+});
+
+test('state minted for another call is rejected', () => {
+  const token = signCallState(state, { now });
+  assert.deepEqual(checkCallState(token, 'CA999', { now }), { ok: false, state, reason: 'call_mismatch' });
+  assert.equal(checkCallState(token, 'CA123', { now }).ok, true);
+
+  // Dial-time state has no CallSid yet; the webhook's is filled in.
+  const unbound = signCallState({ leadName: 'Pat' }, { now });
+  assert.deepEqual(checkCallState(unbound, 'CA777', { now }).state, { leadName: 'Pat', callSid: 'CA777' });
+  assert.equal(checkCallState('', 'CA777', { now }).reason, 'missing');
+});
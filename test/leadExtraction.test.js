@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractWithRules, isPlausibleName } = require('../services/leadExtraction');
+const { loadFlow, startFlow } = require('../lib/smsFlowEngine');
+
+test('picks a capitalized name out of an intro', () => {
+  assert.equal(extractWithRules('Hi this is John Smith, my furnace is broken').name, 'John Smith');
+  assert.equal(extractWithRules("It's Dave and my AC died").name, 'Dave');
+  assert.equal(extractWithRules('My name is Maria').name, 'Maria');
+});
+
+test('verbs and prepositions after "I\'m" are not names', () => {
+  const cases = [
+    "I'm looking for a quote on a new roof",
+    'I am having trouble with my furnace',
+    "I'm at 123 Main St",
+  ];
+  cases.forEach((text) => {
+    assert.equal(extractWithRules(text).name, null, text);
+    assert.equal(extractWithRules(text, { expect: 'name' }).name, null, text);
+  });
+  assert.equal(extractWithRules("I'm looking for a quote on a new roof").need, "I'm looking for a quote on a new roof");
+  assert.equal(extractWithRules("I'm at 123 Main St").address, '123 Main St');
+});
+
+test('a bare reply to the name question is still taken as the name', () => {
+  assert.equal(extractWithRules('john', { expect: 'name' }).name, 'John');
+  assert.equal(extractWithRules('this is maria lopez', { expect: 'name' }).name, 'Maria Lopez');
+});
+
+test('isPlausibleName rejects filler and sentences', () => {
+  assert.equal(isPlausibleName('Dave'), true);
+  assert.equal(isPlausibleName('Mary Ann Lee'), true);
+  assert.equal(isPlausibleName('For'), false);
+  assert.equal(isPlausibleName('Trouble'), false);
+  assert.equal(isPlausibleName('I need a plumber today'), false);
+  assert.equal(isPlausibleName(''), false);
+});
+
+test('an intro without a plausible name does not skip ask_name', async () => {
+  const flow = loadFlow('hvac');
+  const prefill = extractWithRules("I'm looking for a quote on a new roof", { expect: 'name' });
+  const result = await startFlow(flow, { prefill });
+  assert.equal(result.step, 'ask_name');
+  assert.equal(result.fields.name, undefined);
+
+  const named = await startFlow(flow, { prefill: extractWithRules('This is Dave, need a repair', { expect: 'name' }) });
+  assert.equal(named.fields.name, 'Dave');
+  assert.notEqual(named.step, 'ask_name');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.MONGO_FALLBACK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+delete process.env.MONGODB_URI;
+const { recordOutbound, updateStatus, retryDueMessages, findMessage } = require('../services/messageLedger');
+
+const MINUTE = 60 * 1000;
+
+// Each test starts from an empty ledger.
+test.beforeEach(() => fs.rmSync(path.join(process.env.MONGO_FALLBACK_DIR, 'sms_messages.json'), { force: true }));
+test.after(() => fs.rmSync(process.env.MONGO_FALLBACK_DIR, { recursive: true, force: true }));
+
+async function queued(sid, { to = '+15551112222', body = 'Hi there', twilioOptions = {} } = {}) {
+  return recordOutbound({
+    message: { sid, status: 'queued', to },
+    to,
+    body,
+    context: { source: 'test', business: 'acme' },
+    twilioOptions,
+  });
+}
+
+test('a transient failure is scheduled for retry; a permanent one is not', async () => {
+  await queued('SM_transient');
+  const transient = await updateStatus('SM_transient', { status: 'undelivered', errorCode: '30008' });
+  assert.equal(transient.status, 'undelivered');
+  assert.ok(new Date(transient.retryAt).getTime() > Date.now());
+  assert.equal(transient.retryBody, 'Hi there');
+
+  await queued('SM_permanent');
+  const permanent = await updateStatus('SM_permanent', { status: 'failed', errorCode: '30003' });
+  assert.equal(permanent.retryAt, null);
+  assert.equal(permanent.retryBody, null);
+  assert.equal(permanent.retryOptions, null);
+});
+
+test('a late status never moves a message backwards', async () => {
+  await queued('SM_order');
+  await updateStatus('SM_order', { status: 'delivered' });
+  const late = await updateStatus('SM_order', { status: 'sent' });
+  assert.equal(late.status, 'delivered');
+  assert.deepEqual(late.statusHistory.map(entry => entry.status), ['queued', 'delivered', 'sent']);
+});
+
+test('due retries are claimed once and resent with the original options', async () => {
+  await queued('SM_retry', { body: 'Book here', twilioOptions: { from: '+15550009999' } });
+  await updateStatus('SM_retry', { status: 'undelivered', errorCode: '30001' });
+
+  const calls = [];
+  const send = async (...args) => {
+    calls.push(args);
+    return { sid: `SM_resent_${calls.length}` };
+  };
+
+  assert.equal(await retryDueMessages({ send, now: Date.now() }), 0);
+  assert.equal(calls.length, 0);
+
+  // Two overlapping sweeps: only one of them may send.
+  const later = Date.now() + 60 * MINUTE;
+  const results = await Promise.all([retryDueMessages({ send, now: later }), retryDueMessages({ send, now: later })]);
+  assert.equal(calls.length, 1);
+  assert.equal(results.reduce((sum, count) => sum + count, 0), 1);
+
+  const [to, body, context, options] = calls[0];
+  assert.equal(to, '+15551112222');
+  assert.equal(body, 'Book here');
+  assert.equal(context.retryOf, 'SM_retry');
+  assert.equal(context.retryAttempt, 1);
+  assert.equal(context.business, 'acme');
+  assert.deepEqual(options, { from: '+15550009999' });
+
+  const row = await findMessage('SM_retry');
+  assert.equal(row.retryAt, null);
+  assert.equal(row.retryBody, undefined);
+  assert.equal(row.retryOptions, undefined);
+  assert.match(row.retriedAs, /^SM_resent_/);
+
+  assert.equal(await retryDueMessages({ send, now: later }), 0);
+});
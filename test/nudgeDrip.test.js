@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.MONGO_FALLBACK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'nudges-test-'));
+delete process.env.MONGODB_URI;
+const { deferPastQuietHours, scheduleNudges, stopNudges, sendDueNudges, listNudges } = require('../services/nudgeDrip');
+
+const HOUR = 60 * 60 * 1000;
+const flow = {
+  id: 'test',
+  nudges: {
+    quietHours: { start: '21:00', end: '08:00', timezone: 'America/New_York' },
+    steps: [
+      { id: '1h', after: '1h', message: 'Still need a hand?' },
+      { id: '24h', after: '24h', message: 'Following up' },
+      { id: 'bad', after: 'soon', message: 'Dropped: no usable delay' },
+    ],
+  },
+};
+
+test.after(() => fs.rmSync(process.env.MONGO_FALLBACK_DIR, { recursive: true, force: true }));
+
+function recorder() {
+  const sent = [];
+  const send = async (drip, step) => {
+    sent.push({ phone: drip.phone, step: step.id });
+    return { sid: `SM${sent.length}` };
+  };
+  return { sent, send };
+}
+
+test('quiet hours push a send to the end of the window', () => {
+  // 21:30 and 02:00 in New York both resume at 08:00 local (12:00Z in October).
+  assert.equal(deferPastQuietHours('2026-10-20T01:30:00Z', flow.nudges.quietHours).toISOString(), '2026-10-20T12:00:00.000Z');
+  assert.equal(deferPastQuietHours('2026-10-20T06:00:00Z', flow.nudges.quietHours).toISOString(), '2026-10-20T12:00:00.000Z');
+  assert.equal(deferPastQuietHours('2026-10-20T15:00:00Z', flow.nudges.quietHours).toISOString(), '2026-10-20T15:00:00.000Z');
+});
+
+test('only due nudges go out, one step per sweep', async () => {
+  const start = new Date('2026-10-19T14:00:00Z');
+  const drip = await scheduleNudges('+15550000001', { business: 'acme', flow, now: start });
+  assert.deepEqual(drip.steps.map(step => step.id), ['1h', '24h']);
+  assert.equal(drip.nextAt, '2026-10-19T15:00:00.000Z');
+
+  const { sent, send } = recorder();
+  assert.equal(await sendDueNudges({ send, now: start.getTime() + HOUR / 2 }), 0);
+  assert.equal(await sendDueNudges({ send, now: start.getTime() + HOUR + 1 }), 1);
+  assert.equal(await sendDueNudges({ send, now: start.getTime() + 2 * HOUR }), 0);
+  assert.deepEqual(sent, [{ phone: '+15550000001', step: '1h' }]);
+
+  const [after] = await listNudges({ phone: '+15550000001' });
+  assert.equal(after.sentCount, 1);
+  assert.equal(after.nextAt, '2026-10-20T14:00:00.000Z');
+
+  assert.equal(await sendDueNudges({ send, now: start.getTime() + 25 * HOUR }), 1);
+  const [done] = await listNudges({ phone: '+15550000001' });
+  assert.equal(done.status, 'completed');
+  assert.equal(done.nextAt, null);
+});
+
+test('a reply stops the drip and a late-evening start waits for morning', async () => {
+  // 20:30 in New York: the 1h nudge would land in quiet hours.
+  const start = new Date('2026-10-20T00:30:00Z');
+  const drip = await scheduleNudges('+15550000002', { business: 'acme', flow, now: start });
+  assert.equal(drip.nextAt, '2026-10-20T12:00:00.000Z');
+
+  await stopNudges('+15550000002', { business: 'acme', reason: 'replied' });
+  const { sent, send } = recorder();
+  assert.equal(await sendDueNudges({ send, now: start.getTime() + 48 * HOUR, phone: '+15550000002' }), 0);
+  assert.equal(sent.length, 0);
+  const [stopped] = await listNudges({ phone: '+15550000002' });
+  assert.equal(stopped.status, 'stopped');
+  assert.equal(stopped.stopReason, 'replied');
+  assert.ok(stopped.repliedAt);
+});
+
+test('an opted-out lead is taken off the drip', async () => {
+  const start = new Date('2026-10-19T14:00:00Z');
+  await scheduleNudges('+15550000003', { business: 'acme', flow, now: start });
+  const send = async () => {
+    const error = new Error('opted out');
+    error.code = 'sms_opted_out';
+    throw error;
+  };
+  assert.equal(await sendDueNudges({ send, now: start.getTime() + 2 * HOUR, phone: '+15550000003' }), 0);
+  const [row] = await listNudges({ phone: '+15550000003' });
+  assert.equal(row.status, 'stopped');
+  assert.equal(row.stopReason, 'opted_out');
+  assert.deepEqual(row.sent.map(entry => entry.error), ['sms_opted_out']);
+});
+
+test('a thread taken over by an operator gets no more nudges', async () => {
+  const start = new Date('2026-10-19T14:00:00Z');
+  await scheduleNudges('+15550000004', { business: 'acme', flow, now: start });
+  const { sent, send } = recorder();
+  const isPaused = async phone => phone === '+15550000004';
+  assert.equal(await sendDueNudges({ send, isPaused, now: start.getTime() + 2 * HOUR, phone: '+15550000004' }), 0);
+  assert.equal(sent.length, 0);
+  const [row] = await listNudges({ phone: '+15550000004' });
+  assert.equal(row.status, 'stopped');
+  assert.equal(row.stopReason, 'paused');
+});
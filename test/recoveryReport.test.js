@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.MONGO_FALLBACK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'recovery-test-'));
+delete process.env.MONGODB_URI;
+const { recordRecoveryEvent, recoveryReport, reportToCsv } = require('../services/recoveryReport');
+
+const TZ = 'America/New_York';
+const jobValueFor = business => ({ acme: 250, 'bolt-plumbing': 400 }[business] || 0);
+
+test.after(() => fs.rmSync(process.env.MONGO_FALLBACK_DIR, { recursive: true, force: true }));
+
+test.before(async () => {
+  const events = [
+    // Tuesday 2026-10-13 (New York): a full funnel for acme.
+    ['missed_call', 'CA1', 'acme', '2026-10-13T14:00:00Z'],
+    ['replied', '+1555001:1', 'acme', '2026-10-13T14:05:00Z'],
+    ['qualified', '+1555001:q', 'acme', '2026-10-13T14:10:00Z'],
+    ['booked', '+1555001:b', 'acme', '2026-10-13T15:00:00Z'],
+    ['missed_call', 'CA2', 'acme', '2026-10-13T16:00:00Z'],
+    // 23:30 on Sunday 10-18 in New York is already Monday in UTC.
+    ['missed_call', 'CA3', 'acme', '2026-10-19T03:30:00Z'],
+    ['missed_call', 'CA4', 'bolt-plumbing', '2026-10-19T15:00:00Z'],
+    ['booked', '+1555004:b', 'bolt-plumbing', '2026-10-19T16:00:00Z'],
+    // Outside the range.
+    ['missed_call', 'CA0', 'acme', '2026-10-01T15:00:00Z'],
+  ];
+  for (const [type, key, business, at] of events) {
+    await recordRecoveryEvent(type, { key, business, at: new Date(at) });
+  }
+});
+
+test('events are counted once per dedupe key', async () => {
+  assert.equal(await recordRecoveryEvent('missed_call', { key: 'CA1', business: 'acme', at: new Date('2026-10-13T14:00:00Z') }), false);
+  assert.equal(await recordRecoveryEvent('not_a_type', { key: 'x' }), false);
+});
+
+test('daily buckets use the business timezone', async () => {
+  const report = await recoveryReport({ from: '2026-10-12', to: '2026-10-19', timezone: TZ, jobValueFor });
+  assert.deepEqual(report.rows.map(row => [row.period, row.business, row.missedCalls, row.bookings]), [
+    ['2026-10-13', 'acme', 2, 1],
+    ['2026-10-18', 'acme', 1, 0],
+    ['2026-10-19', 'bolt-plumbing', 1, 1],
+  ]);
+  const [tuesday] = report.rows;
+  assert.equal(tuesday.replyRate, 0.5);
+  assert.equal(tuesday.estimatedRevenue, 250);
+  assert.equal(report.totals.missedCalls, 4);
+  assert.equal(report.totals.estimatedRevenue, 650);
+});
+
+test('weekly buckets start on Monday and respect the business filter', async () => {
+  const report = await recoveryReport({ from: '2026-10-12', to: '2026-10-19', groupBy: 'week', business: 'acme', timezone: TZ, jobValueFor });
+  assert.deepEqual(report.rows.map(row => [row.period, row.missedCalls, row.replies, row.qualifiedLeads, row.bookings]), [
+    ['2026-10-12', 3, 1, 1, 1],
+  ]);
+  assert.equal(report.totals.business, 'acme');
+});
+
+test('CSV output has the header row and escapes values', async () => {
+  const report = await recoveryReport({ from: '2026-10-13', to: '2026-10-13', timezone: TZ, jobValueFor });
+  report.rows[0].business = 'Acme, "North"';
+  assert.equal(reportToCsv(report), [
+    'period,business,missedCalls,replies,replyRate,qualifiedLeads,bookings,reviewsRequested,averageJobValue,estimatedRevenue',
+    '2026-10-13,"Acme, ""North""",2,1,0.5,1,1,0,250,250',
+    '',
+  ].join('\n'));
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFlow, validateFlow, validateAnswer, startFlow, advanceFlow } = require('../lib/smsFlowEngine');
+
+const vars = { business: 'Acme HVAC', bookingLink: 'https://book.example.com' };
+
+test('validateAnswer checks each rule type', () => {
+  const choice = { type: 'choice', options: [{ value: 'repair', match: ['1', 'fix'] }, { value: 'install', match: ['2'] }] };
+  assert.deepEqual(validateAnswer(choice, '1'), { ok: true, value: 'repair' });
+  assert.deepEqual(validateAnswer(choice, 'Can you fix my AC?'), { ok: true, value: 'repair' });
+  assert.deepEqual(validateAnswer(choice, '12'), { ok: false });
+
+  assert.deepEqual(validateAnswer({ type: 'yesno' }, 'Yes please'), { ok: true, value: 'yes' });
+  assert.deepEqual(validateAnswer({ type: 'yesno' }, 'nope'), { ok: true, value: 'no' });
+  assert.deepEqual(validateAnswer({ type: 'yesno' }, 'maybe'), { ok: false });
+
+  assert.deepEqual(validateAnswer({ type: 'number', min: 1, max: 10 }, '3 kids'), { ok: true, value: 3 });
+  assert.deepEqual(validateAnswer({ type: 'number', min: 1, max: 10 }, '42'), { ok: false });
+  assert.deepEqual(validateAnswer({ type: 'email' }, 'me at Pat@Example.com'), { ok: true, value: 'pat@example.com' });
+  assert.deepEqual(validateAnswer({ type: 'zip' }, 'zip is 19063'), { ok: true, value: '19063' });
+  assert.deepEqual(validateAnswer({ type: 'zip' }, '1906'), { ok: false });
+  assert.deepEqual(validateAnswer({ type: 'text', maxLength: 5 }, 'too long'), { ok: false });
+  assert.deepEqual(validateAnswer(undefined, '  Pat  '), { ok: true, value: 'Pat' });
+});
+
+test('validateFlow lists every problem', () => {
+  assert.throws(
+    () => validateFlow({ id: 'broken', start: 'a', steps: { a: { field: 'x', next: 'missing' }, b: { action: 'explode' } } }),
+    (error) => {
+      assert.equal(error.code, 'invalid_flow');
+      assert.ok(error.problems.includes('a: next step "missing" not defined'));
+      assert.ok(error.problems.includes('b: unknown action "explode"'));
+      return true;
+    },
+  );
+});
+
+test('branches follow the answer and terminal steps run their action', async () => {
+  const flow = loadFlow('hvac');
+  const handoffs = [];
+  const actions = { handoff: async ({ fields }) => { handoffs.push(fields); return {}; } };
+
+  const start = await startFlow(flow, { vars });
+  assert.equal(start.step, 'ask_name');
+  assert.deepEqual(start.messages, ["Hey, it's Acme HVAC. What's your name?"]);
+
+  const named = await advanceFlow(flow, { step: 'ask_name', fields: {} }, 'Pat', { vars, actions });
+  assert.equal(named.step, 'ask_service');
+  assert.equal(named.leadPatch.name, 'Pat');
+  assert.match(named.messages[0], /^Thanks, Pat\./);
+
+  const install = await advanceFlow(flow, { step: 'ask_service', fields: { name: 'Pat' } }, '2', { vars, actions });
+  assert.equal(install.step, 'ask_zip');
+
+  const repair = await advanceFlow(flow, { step: 'ask_service', fields: { name: 'Pat' } }, 'it is broken', { vars, actions });
+  assert.equal(repair.step, 'ask_urgency');
+
+  const emergency = await advanceFlow(flow, { step: 'ask_urgency', fields: { name: 'Pat', need: 'repair' } }, 'yes', { vars, actions });
+  assert.equal(emergency.step, 'emergency');
+  assert.equal(emergency.action.type, 'handoff');
+  assert.equal(emergency.leadPatch.status, 'handoff');
+  assert.deepEqual(handoffs, [{ name: 'Pat', need: 'repair', urgency: 'yes' }]);
+});
+
+test('an invalid answer repeats the step with its error copy', async () => {
+  const flow = loadFlow('hvac');
+  const result = await advanceFlow(flow, { step: 'ask_zip', fields: { name: 'Pat' } }, 'near the park', { vars });
+  assert.equal(result.step, 'ask_zip');
+  assert.equal(result.invalid, true);
+  assert.deepEqual(result.messages, ['Please reply with a 5-digit ZIP code.']);
+});
+
+test('prefilled answers skip the steps they cover', async () => {
+  const flow = loadFlow('hvac');
+  const result = await advanceFlow(flow, { step: 'ask_name', fields: {} }, 'Pat, need a new install in 19063', {
+    vars,
+    prefill: { name: 'Pat', need: 'install' },
+  });
+  assert.equal(result.step, 'ask_zip');
+  assert.deepEqual(result.fields, { name: 'Pat', need: 'install' });
+});
+
+test('a reply after the flow finished gets the completion message', async () => {
+  const flow = loadFlow('default');
+  const result = await advanceFlow(flow, { step: 'book', fields: { name: 'Pat' } }, 'thanks', { vars });
+  assert.equal(result.completed, true);
+  assert.deepEqual(result.messages, ['Thanks! We’ll confirm shortly. You can also self-book anytime: https://book.example.com']);
+  assert.deepEqual(result.leadPatch, { status: 'awaiting_booking' });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { parseTimePhrase } = require('../lib/timeParser');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const TZ = 'America/New_York';
+// Monday morning.
+const now = dayjs.tz('2026-10-19 09:00', TZ);
+
+function parse(text, at = now) {
+  const result = parseTimePhrase(text, { now: at, timezone: TZ });
+  if (!result) return null;
+  return {
+    start: result.start.tz(TZ).format('YYYY-MM-DD HH:mm'),
+    end: result.end.tz(TZ).format('YYYY-MM-DD HH:mm'),
+    precision: result.precision,
+  };
+}
+
+test('weekday and clock time', () => {
+  assert.deepEqual(parse('Tuesday 3pm'), { start: '2026-10-20 15:00', end: '2026-10-20 15:00', precision: 'exact' });
+  assert.deepEqual(parse('10/24 at 2'), { start: '2026-10-24 14:00', end: '2026-10-24 14:00', precision: 'exact' });
+});
+
+test('day parts and qualifiers become windows', () => {
+  assert.deepEqual(parse('tomorrow morning'), { start: '2026-10-20 08:00', end: '2026-10-20 12:00', precision: 'window' });
+  assert.deepEqual(parse('today after 4'), { start: '2026-10-19 16:00', end: '2026-10-19 23:59', precision: 'window' });
+  assert.deepEqual(parse('Friday'), { start: '2026-10-23 00:00', end: '2026-10-23 23:59', precision: 'day' });
+});
+
+test('bare numbers are skipped until one is marked as a time', () => {
+  assert.deepEqual(parse('I have 3 kids at 5'), { start: '2026-10-19 17:00', end: '2026-10-19 17:00', precision: 'exact' });
+  assert.equal(parse('I have 3 kids'), null);
+  assert.equal(parse('sounds good'), null);
+});
+
+test('times already past roll forward unless the day was explicit', () => {
+  assert.deepEqual(parse('at 8'), { start: '2026-10-20 08:00', end: '2026-10-20 08:00', precision: 'exact' });
+  assert.deepEqual(parse('Monday 8am'), { start: '2026-10-26 08:00', end: '2026-10-26 08:00', precision: 'exact' });
+  assert.equal(parse('today at 8am'), null);
+  assert.equal(parse('this morning', dayjs.tz('2026-10-19 13:00', TZ)), null);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const twilio = require('twilio');
+const { createTwilioSignatureMiddleware, isBypassEnabled } = require('../lib/twilioSignature');
+
+const AUTH_TOKEN = 'test_auth_token';
+const PUBLIC_BASE = 'https://calls.example.com';
+
+function sign(url, params, token = AUTH_TOKEN) {
+  return twilio.getExpectedTwilioSignature(token, url, params);
+}
+
+async function withServer(options, run) {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use(['/voice', '/sms'], createTwilioSignatureMiddleware({ authToken: AUTH_TOKEN, ...options }));
+  app.post(['/voice', '/voice/after', '/sms', '/voice/cold-caller/intro'], (req, res) => res.json({ ok: true }));
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function post(base, path, params, headers = {}) {
+  return fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', ...headers },
+    body: new URLSearchParams(params).toString(),
+  });
+}
+
+const missedCall = { CallSid: 'CA123', From: '+15551112222', To: '+15550001111', DialCallStatus: 'no-answer' };
+
+test('accepts a request signed for the configured public URL', async () => {
+  await withServer({ getBaseUrl: () => PUBLIC_BASE }, async (base) => {
+    const res = await post(base, '/voice/after', missedCall, {
+      'x-twilio-signature': sign(`${PUBLIC_BASE}/voice/after`, missedCall),
+    });
+    assert.equal(res.status, 200);
+  });
+});
+
+test('rejects a forged or tampered request', async () => {
+  await withServer({ getBaseUrl: () => PUBLIC_BASE }, async (base) => {
+    const signature = sign(`${PUBLIC_BASE}/voice/after`, missedCall);
+    const tampered = await post(base, '/voice/after', { ...missedCall, From: '+15559999999' }, {
+      'x-twilio-signature': signature,
+    });
+    assert.equal(tampered.status, 403);
+
+    const unsigned = await post(base, '/sms', { From: '+15551112222', Body: 'hi' });
+    assert.equal(unsigned.status, 403);
+
+    const wrongToken = await post(base, '/voice/after', missedCall, {
+      'x-twilio-signature': sign(`${PUBLIC_BASE}/voice/after`, missedCall, 'other_token'),
+    });
+    assert.equal(wrongToken.status, 403);
+  });
+});
+
+test('query strings are part of the signed URL', async () => {
+  await withServer({ getBaseUrl: () => PUBLIC_BASE }, async (base) => {
+    const params = { CallSid: 'CA999', SpeechResult: 'yes' };
+    const signature = sign(`${PUBLIC_BASE}/voice/cold-caller/intro?state=abc`, params);
+    const ok = await post(base, '/voice/cold-caller/intro?state=abc', params, { 'x-twilio-signature': signature });
+    assert.equal(ok.status, 200);
+    const swapped = await post(base, '/voice/cold-caller/intro?state=xyz', params, { 'x-twilio-signature': signature });
+    assert.equal(swapped.status, 403);
+  });
+});
+
+test('falls back to X-Forwarded-Proto/Host when no base URL is configured', async () => {
+  await withServer({ getBaseUrl: () => '' }, async (base) => {
+    const params = { From: '+15551112222', Body: 'hello' };
+    const res = await post(base, '/sms', params, {
+      'x-forwarded-proto': 'https',
+      'x-forwarded-host': 'tunnel.example.net',
+      'x-twilio-signature': sign('https://tunnel.example.net/sms', params),
+    });
+    assert.equal(res.status, 200);
+  });
+});
+
+test('bypass skips validation outside production only', async () => {
+  await withServer({ bypass: true }, async (base) => {
+    const res = await post(base, '/voice', missedCall);
+    assert.equal(res.status, 200);
+  });
+  assert.equal(isBypassEnabled('true', 'development'), true);
+  assert.equal(isBypassEnabled('true', 'production'), false);
+  assert.equal(isBypassEnabled('', 'development'), false);
+});